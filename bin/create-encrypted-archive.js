@@ -1,96 +1,44 @@
 #!/usr/bin/env node
 
-import { config } from 'dotenv'
-import { execSync } from 'child_process'
-import { existsSync, mkdirSync, readFileSync } from 'fs'
-import path from 'path'
-import { minimatch } from 'minimatch'
-import { fileURLToPath } from 'url'
+import minimist from 'minimist'
+import { Ward } from '../lib/ward.js'
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const args = minimist(process.argv.slice(2), {
+  string: ['vault'],
+  boolean: ['force']
+})
 
-// Load environment variables
-config()
-
-// ensure directories exist
-const privateDir = path.join(process.cwd(), process.env.WARD_PRIVATE_FOLDER || 'private')
-const archiveDir = path.join(process.cwd(), process.env.WARD_ARCHIVE_FOLDER || '.archives')
-
-if (!existsSync(privateDir)) {
-  mkdirSync(privateDir, { recursive: true })
-}
-if (!existsSync(archiveDir)) {
-  mkdirSync(archiveDir, { recursive: true })
+// minimist leaves --vault empty when a flag or nothing follows it
+if (args.vault !== undefined && !/^[a-z0-9][a-z0-9_-]*$/i.test(args.vault)) {
+  console.error('usage: node bin/create-encrypted-archive.js [--vault <name>] [--force]')
+  process.exit(1)
 }
 
-// read .encignore if it exists
-const encignoreFile = path.join(process.cwd(), '.encignore')
-const encignorePatterns = existsSync(encignoreFile)
-  ? readFileSync(encignoreFile, 'utf8')
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line && !line.startsWith('#'))
-  : []
-
-// create timestamp for archive name
-const now = new Date()
-const timestamp = now.toISOString()
-  .replace(/[:.]/g, '-')  // Replace colons and dots with hyphens
-  .replace('T', '_')      // Replace T with underscore
-  .split('.')[0]          // Remove milliseconds
-
-const tarFile = path.join(archiveDir, `${timestamp}.tar`)
-const encryptedFile = path.join(archiveDir, `${timestamp}.tar.gpg`)
-
+// every vault of ward.config.json unless --vault picks one
+let vaults
 try {
-  // create list of files to exclude
-  const excludeFile = path.join(archiveDir, `${timestamp}.exclude`)
-  if (encignorePatterns.length > 0) {
-    // write patterns to exclude file
-    const excludeContent = encignorePatterns.join('\n')
-    execSync(`echo "${excludeContent}" > "${excludeFile}"`)
-  }
-
-  // create tarball with exclusions
-  const excludeArg = encignorePatterns.length > 0 ? `--exclude-from="${excludeFile}"` : ''
-  execSync(`tar -cf "${tarFile}" ${excludeArg} -C "${privateDir}" .`)
-
-  // cleanup exclude file
-  if (existsSync(excludeFile)) {
-    execSync(`rm "${excludeFile}"`)
-  }
-
-  // Build encryption command
-  const keyId = process.env.WARD_GPG_KEY
-  const recipients = process.env.WARD_GPG_RECIPIENTS
-  
-  let recipientArgs = ''
-  if (recipients) {
-    // If recipients specified, encrypt for all of them
-    recipientArgs = recipients.split(',')
-      .map(r => `-r ${r.trim()}`)
-      .join(' ')
-  } else if (keyId) {
-    // If only key specified, encrypt just for that key
-    recipientArgs = `-r ${keyId}`
-  }
-  // If neither specified, GPG will use default key
-
-  const keyOption = keyId ? `--local-user ${keyId}` : ''
-  const encryptCmd = `gpg --yes --trust-model always ${keyOption} ${recipientArgs} -e -o "${encryptedFile}" "${tarFile}"`
-
-  // encrypt tarball
-  execSync(encryptCmd)
-
-  // cleanup tar file
-  execSync(`rm "${tarFile}"`)
-
-  // stage encrypted archive using relative path
-  const relativeArchivePath = path.relative(process.cwd(), encryptedFile)
-  execSync(`git add "${relativeArchivePath}"`)
-
-  console.log(`created encrypted archive: ${encryptedFile}`)
+  vaults = args.vault ? [new Ward({ vault: args.vault })] : Ward.vaults()
 } catch (error) {
   console.error(`failed to create archive: ${error.message}`)
   process.exit(1)
-} 
\ No newline at end of file
+}
+let failed = false
+
+for (const ward of vaults) {
+  const name = ward.vault ? `vault ${ward.vault}: ` : ''
+  try {
+    const archive = await ward.pack({ force: args.force })
+    if (!archive) {
+      console.log(`${name}no changes since the latest archive, use --force to create one anyway`)
+    } else {
+      console.log(`${name}created encrypted archive: ${archive.file}`)
+    }
+  } catch (error) {
+    console.error(`${name}failed to create archive: ${error.message}`)
+    failed = true
+  }
+}
+
+if (failed) {
+  process.exit(1)
+}
@@ -17,6 +17,14 @@ function cmd(command, showOutput = false) {
   return output
 }
 
+// restores every vault of ward.config.json unless --vault picks one
+const vaultIndex = process.argv.indexOf('--vault')
+const vault = vaultIndex === -1 ? null : process.argv[vaultIndex + 1]
+if (vault !== null && !/^[a-z0-9][a-z0-9_-]*$/i.test(vault || '')) {
+  console.error('usage: node bin/pull.js [--vault <name>]')
+  process.exit(1)
+}
+
 try {
   // check if we have any staged changes
   const status = cmd('git status --porcelain')
@@ -30,11 +38,9 @@ try {
   cmd('git pull --rebase', true)
 
   // always restore from latest archive, even if no git changes
+  // restore refuses rather than overwrite local vault edits that were never packed
   log('\nRestoring from latest archive...')
-  const privateDir = process.env.WARD_PRIVATE_FOLDER || 'private'
-  cmd(`rm -rf ${privateDir}`)
-  cmd(`mkdir -p ${privateDir}`)
-  cmd('node bin/restore-from-archive.js', true)
+  cmd(`node bin/restore-from-archive.js${vault ? ` --vault ${vault}` : ''}`, true)
 
   // pop stash if we stashed
   if (status.trim()) {
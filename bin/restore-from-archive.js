@@ -1,86 +1,60 @@
 #!/usr/bin/env node
 
-import { config } from 'dotenv'
-import { execSync } from 'child_process'
-import { existsSync, mkdirSync, readdirSync } from 'fs'
-import path from 'path'
-import { fileURLToPath } from 'url'
+import minimist from 'minimist'
+import { Ward } from '../lib/ward.js'
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const args = minimist(process.argv.slice(2), {
+  string: ['_', 'vault'],
+  boolean: ['force', 'keep-local']
+})
 
-// Load environment variables
-config()
-
-// ensure directories exist
-const privateDir = path.join(process.cwd(), process.env.WARD_PRIVATE_FOLDER || 'private')
-const archiveDir = path.join(process.cwd(), process.env.WARD_ARCHIVE_FOLDER || '.archives')
-
-if (!existsSync(privateDir)) {
-  mkdirSync(privateDir, { recursive: true })
+// minimist leaves --vault empty when a flag or nothing follows it
+if (args.vault !== undefined && !/^[a-z0-9][a-z0-9_-]*$/i.test(args.vault)) {
+  console.error('usage: node bin/restore-from-archive.js [ref] [--vault <name>] [--force | --keep-local]')
+  process.exit(1)
 }
 
-if (!existsSync(archiveDir)) {
-  console.error('no archives directory found')
+// every vault of ward.config.json unless --vault picks one
+let vaults
+try {
+  vaults = args.vault ? [new Ward({ vault: args.vault })] : Ward.vaults()
+} catch (error) {
+  console.error(`failed to restore archive: ${error.message}`)
   process.exit(1)
 }
+let failed = false
 
-function parseArchiveDate(filename) {
-  try {
-    if (filename.includes('_')) {
-      // Parse ISO format (2024-12-02_00-49-38-434Z)
-      const [datePart, timePart] = filename.split('_')
-      const [year, month, day] = datePart.split('-').map(Number)
-      const [hour, minute, second] = timePart.split(/[-Z]/g).filter(Boolean).map(Number)
-      return new Date(Date.UTC(year, month - 1, day, hour, minute, second))
-    } else {
-      // Parse Unix timestamp
-      return new Date(parseInt(filename) * 1000)
-    }
-  } catch (e) {
-    console.error('Error parsing date:', e)
-    return new Date(0) // Return epoch for invalid dates
+for (const ward of vaults) {
+  const name = ward.vault ? `vault ${ward.vault}: ` : ''
+  if (ward.list().length === 0) {
+    console.log(`${name}no archives found`)
+    continue
   }
-}
 
-// find latest archive
-const archives = readdirSync(archiveDir)
-  .filter(f => f.endsWith('.tar.gpg'))
-  .map(f => {
-    const date = parseArchiveDate(f.split('.')[0])
-    return {
-      name: f,
-      timestamp: Math.floor(date.getTime() / 1000)
-    }
-  })
-  .sort((a, b) => b.timestamp - a.timestamp) // sort by timestamp descending
+  // an explicit archive path or ref may be passed, otherwise restore latest
+  try {
+    const result = await ward.restore(args._[0] || 'latest', { force: args.force, keepLocal: args['keep-local'] })
+    console.log(`${name}restored from archive: ${result.archive.file}`)
 
-if (archives.length === 0) {
-  console.log('no archives found')
-  process.exit(0)
+    if (result.kept.length > 0) {
+      console.log(`${name}kept local versions of: ${result.kept.join(', ')}`)
+    }
+    if (result.recovery) {
+      console.log(`${name}previous local versions saved to: ${result.recovery}`)
+    }
+  } catch (error) {
+    console.error(`${name}failed to restore archive: ${error.message}`)
+    if (error.conflicts) {
+      console.error('hint: pack your changes first, or rerun with --keep-local or --force (local files are backed up)')
+    }
+    // never extracted from a hook, whoever pushed it may not be who they claim
+    if (error.untrusted) {
+      console.error('hint: check who packed it, add their fingerprint to WARD_GPG_SIGNERS if you trust them and run ward restore')
+    }
+    failed = true
+  }
 }
 
-const latestArchive = path.join(archiveDir, archives[0].name)
-const tempTar = path.join(archiveDir, 'temp.tar')
-
-try {
-  // decrypt archive
-  const keyId = process.env.WARD_GPG_KEY
-  const keyOption = keyId ? `--local-user ${keyId}` : ''
-  execSync(`gpg --yes ${keyOption} -d -o "${tempTar}" "${latestArchive}"`)
-
-  // clear private directory without warning
-  execSync(`rm -rf "${privateDir}"/*`)
-
-  // extract archive
-  execSync(`tar -xf "${tempTar}" -C "${privateDir}"`)
-
-  console.log(`restored from archive: ${latestArchive}`)
-} catch (error) {
-  console.error(`failed to restore archive: ${error.message}`)
+if (failed) {
   process.exit(1)
-} finally {
-  // cleanup
-  if (existsSync(tempTar)) {
-    execSync(`rm "${tempTar}"`)
-  }
-} 
\ No newline at end of file
+}
@@ -1,10 +1,10 @@
 #!/usr/bin/env node
 
 import { execSync } from 'child_process'
-import { readdirSync } from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { readFileSync, writeFileSync } from 'fs'
+import { BACKENDS } from '../lib/backends.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
@@ -21,16 +21,9 @@ try {
   console.log('Initializing archive...')
   execSync('node bin/init-archive.js', { stdio: 'inherit' })
 
-  // install git hooks
+  // install git hooks, existing ones are kept and run first
   console.log('Installing git hooks...')
-  const hookFiles = readdirSync(path.join(process.cwd(), 'git-hooks'))
-  for (const file of hookFiles) {
-    if (file.endsWith('.example')) {
-      const hookName = file.replace('.example', '')
-      execSync(`mv git-hooks/${file} .git/hooks/${hookName}`, { stdio: 'inherit' })
-    }
-  }
-  execSync('chmod +x .git/hooks/*', { stdio: 'inherit' })
+  execSync('node bin/ward hooks install', { stdio: 'inherit' })
 
   // Need to add: ensure .gitignore has correct paths
   const privateDir = process.env.WARD_PRIVATE_FOLDER || 'private'
@@ -54,16 +47,12 @@ try {
     updated = true
   }
 
-  // Add temp.tar in archive directory
-  if (!lines.some(line => line.trim() === `${archiveDir}/temp.tar`)) {
-    gitignoreContent += `\n${archiveDir}/temp.tar`
-    updated = true
-  }
-
-  // Make sure we don't ignore .tar.gpg files
-  if (!lines.some(line => line.trim() === `!${archiveDir}/*.tar.gpg`)) {
-    gitignoreContent += `\n!${archiveDir}/*.tar.gpg`
-    updated = true
+  // Make sure we don't ignore archives from any backend
+  for (const backend of Object.values(BACKENDS)) {
+    if (!lines.some(line => line.trim() === `!${archiveDir}/*${backend.extension}`)) {
+      gitignoreContent += `\n!${archiveDir}/*${backend.extension}`
+      updated = true
+    }
   }
 
   if (updated) {
@@ -1,8 +1,13 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process')
-const { existsSync } = require('fs')
-const path = require('path')
+import dotenv from 'dotenv'
+import { execFileSync, execSync } from 'child_process'
+import { existsSync } from 'fs'
+import { createRequire } from 'module'
+import { fileURLToPath } from 'url'
+import { hookStatus } from '../lib/hooks.js'
+
+const require = createRequire(import.meta.url)
 
 function log(message) {
   console.log(message)
@@ -14,9 +19,11 @@ function checkPrerequisites() {
     const nodeVersion = execSync('node --version', { encoding: 'utf8' })
     log(`✓ Node.js ${nodeVersion.trim()}`)
 
-    // Check GPG
-    const gpgVersion = execSync('gpg --version | head -n1', { encoding: 'utf8' })
-    log(`✓ ${gpgVersion.trim()}`)
+    // Check the encryption backend, gpg unless WARD_BACKEND says otherwise
+    dotenv.config()
+    const backend = process.env.WARD_BACKEND || 'gpg'
+    const backendVersion = execFileSync(backend, ['--version'], { encoding: 'utf8' }).split('\n')[0].trim()
+    log(`✓ ${backendVersion.startsWith(backend) ? backendVersion : `${backend} ${backendVersion}`}`)
 
     // Check Git
     const gitVersion = execSync('git --version', { encoding: 'utf8' })
@@ -49,6 +56,7 @@ function checkPrerequisites() {
 
     // Check required scripts
     const scripts = [
+      'lib/ward.js',
       'bin/create-encrypted-archive.js',
       'bin/restore-from-archive.js',
       'bin/init-archive.js',
@@ -63,35 +71,29 @@ function checkPrerequisites() {
       log(`✓ ${script} exists`)
     }
 
-    // Check git hooks
-    const hooks = [
-      'pre-commit',
-      'post-merge',
-      'post-checkout',
-      'post-rewrite',
-      'post-push'
-    ]
-    for (const hook of hooks) {
-      const hookPath = `.git/hooks/${hook}`
-      if (!existsSync(hookPath)) {
-        throw new Error(`Missing git hook: ${hook}`)
+    // Check git hooks, wherever core.hooksPath puts them
+    for (const hook of hookStatus(process.cwd())) {
+      if (hook.state !== 'installed') {
+        throw new Error(`Git hook ${hook.name} is ${hook.state === 'foreign' ? 'not installed by ward' : hook.state}, run ward hooks install`)
       }
-      log(`✓ ${hook} hook installed`)
+      log(`✓ ${hook.name} hook installed`)
     }
 
     // Check .env configuration
-    require('dotenv').config()
-    if (!process.env.WARD_GPG_RECIPIENTS) {
-      throw new Error('WARD_GPG_RECIPIENTS not set in .env')
+    const settings = backend === 'age' ? ['WARD_AGE_RECIPIENTS', 'WARD_AGE_IDENTITY'] : ['WARD_GPG_RECIPIENTS']
+    if (!settings.some(key => process.env[key]) && !existsSync('.ward/recipients')) {
+      throw new Error(`${settings.join(' or ')} not set in .env and no .ward/recipients file`)
     }
     log('✓ .env configured')
 
     // Try to list GPG keys
-    try {
-      execSync('gpg --list-keys', { stdio: 'pipe' })
-      log('✓ GPG keys available')
-    } catch {
-      throw new Error('No GPG keys found')
+    if (backend === 'gpg') {
+      try {
+        execSync('gpg --list-keys', { stdio: 'pipe' })
+        log('✓ GPG keys available')
+      } catch {
+        throw new Error('No GPG keys found')
+      }
     }
 
     log('\nAll prerequisites met! Repository is ready to use.')
@@ -103,8 +105,8 @@ function checkPrerequisites() {
 }
 
 // Run checks if called directly
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
   process.exit(checkPrerequisites() ? 0 : 1)
 }
 
-module.exports = checkPrerequisites
+export default checkPrerequisites
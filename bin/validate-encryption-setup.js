@@ -1,10 +1,14 @@
 #!/usr/bin/env node
 
 import { config } from 'dotenv'
-import { execSync } from 'child_process'
-import { existsSync, statSync, lstatSync, mkdirSync } from 'fs'
+import { execFileSync } from 'child_process'
+import { existsSync, statSync, mkdirSync, rmSync } from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { Ward, allowsUnsigned } from '../lib/ward.js'
+import { getBackend } from '../lib/backends.js'
+import { hookStatus } from '../lib/hooks.js'
+import { checkCompression, payloadStream, readPayload } from '../lib/payload.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
@@ -15,10 +19,20 @@ function log(message) {
   console.log(message)
 }
 
+// every vault of ward.config.json, or the one the environment configures
+const vaults = Ward.vaults()
+
+function vaultName(ward) {
+  return ward.vault ? `vault ${ward.vault}: ` : ''
+}
+
 function checkDirs() {
-  const privateDir = path.join(process.cwd(), process.env.WARD_PRIVATE_FOLDER || 'private')
-  const archiveDir = path.join(process.cwd(), process.env.WARD_ARCHIVE_FOLDER || '.archives')
+  for (const { privateDir, archiveDir } of vaults) {
+    checkVaultDirs(privateDir, archiveDir)
+  }
+}
 
+function checkVaultDirs(privateDir, archiveDir) {
   // check/create private directory
   if (!existsSync(privateDir)) {
     try {
@@ -42,95 +56,55 @@ function checkDirs() {
   }
 }
 
-function checkEnv() {
-  // No need to check for WARD_GPG_RECIPIENTS anymore
-  // Just check if we have any GPG keys available
-  try {
-    execSync('gpg --list-secret-keys', { encoding: 'utf8' })
-  } catch (error) {
-    log('error: no GPG keys found')
-    log('hint: you need at least one GPG key pair for encryption/decryption')
-    process.exit(1)
+async function checkBackend() {
+  for (const ward of vaults) {
+    await checkVaultBackend(ward)
   }
 }
 
-function checkGpg() {
-  try {
-    const output = execSync('gpg --list-secret-keys', { encoding: 'utf8' })
-    const keyId = process.env.WARD_GPG_KEY
-    const recipients = process.env.WARD_GPG_RECIPIENTS?.split(',').map(r => r.trim()) || []
-    
-    // If using specific key, validate it exists
-    if (keyId && !output.includes(keyId)) {
-      log(`error: specified WARD_GPG_KEY ${keyId} not found in secret keys`)
-      process.exit(1)
-    }
+// recipients can differ between vaults, so each gets its own round trip
+async function checkVaultBackend(ward) {
+  const { config } = ward
 
-    // If using recipients, validate they exist
-    for (const recipient of recipients) {
-      if (!output.includes(recipient)) {
-        log(`error: GPG key for "${recipient}" not found`)
-        process.exit(1)
-      }
-    }
+  try {
+    // binary, keys and recipients for the configured backend
+    const backend = getBackend(config.backend)
+    await backend.validate(config)
 
-    // test encryption/decryption with archive
+    // round trip a small tarball through the same pipeline pack and restore use,
+    // only the encrypted file is written
     const testDir = path.join(process.cwd(), '.test-archive')
-    const testFile = path.join(testDir, 'test.txt')
-    const testTar = path.join(testDir, 'test.tar')
-    const testEncrypted = `${testTar}.gpg`
-    
+    const testEncrypted = path.join(testDir, `test${backend.extension}`)
+
     try {
-      // create test directory and file
       mkdirSync(testDir, { recursive: true })
-      execSync(`echo "test" > "${testFile}"`)
-
-      // create test archive
-      execSync(`tar -cf "${testTar}" -C "${testDir}" test.txt`)
-
-      // build recipient args
-      const recipientArgs = recipients.map(r => `-r ${r}`).join(' ')
-      
-      // test encryption
-      const encryptCmd = keyId 
-        ? `gpg --yes --trust-model always --local-user ${keyId} ${recipientArgs} -e -o "${testEncrypted}" "${testTar}"`
-        : `gpg --yes --trust-model always ${recipientArgs} -e -o "${testEncrypted}" "${testTar}"`
-      
-      execSync(encryptCmd)
-
-      // test decryption
-      const decryptCmd = keyId
-        ? `gpg --yes --local-user ${keyId} -d -o /dev/null "${testEncrypted}"`
-        : `gpg --yes -d -o /dev/null "${testEncrypted}"`
-      
-      execSync(decryptCmd)
+      const entry = { name: 'test.txt', type: 'file', mode: 0o644, mtime: new Date(), data: Buffer.from('test\n') }
+      await backend.encryptStream(payloadStream([entry], { compression: checkCompression(config.compression) }), testEncrypted, config)
+
+      const { stdout, done } = backend.decryptStream(testEncrypted, config)
+      const [{ entries: [restored] }, signature] = await Promise.all([readPayload(stdout), done])
+      if (!restored?.data.equals(entry.data)) {
+        throw new Error('decrypted archive does not match what was encrypted')
+      }
+
+      // what we sign with has to pass the same check restore does
+      const trust = await ward.trust(signature)
+      if (!trust.trusted && !allowsUnsigned(config.allowUnsigned, backend.name, trust)) {
+        throw new Error(`archives you pack would be refused on restore (${trust.error}), add your fingerprint to WARD_GPG_SIGNERS`)
+      }
     } finally {
-      // cleanup test directory
-      execSync(`rm -rf "${testDir}"`)
+      rmSync(testDir, { recursive: true, force: true })
     }
   } catch (error) {
-    log(`error: GPG test failed: ${error.message}`)
+    log(`error: ${vaultName(ward)}${config.backend} test failed: ${error.message}`)
     process.exit(1)
   }
 }
 
 function checkHooks() {
-  const requiredHooks = [
-    '.git/hooks/pre-commit',
-    '.git/hooks/post-merge',
-    '.git/hooks/post-checkout',
-    '.git/hooks/post-rewrite',
-    '.git/hooks/post-push'
-  ]
-
-  for (const hook of requiredHooks) {
-    if (!existsSync(hook)) {
-      log(`error: missing git hook: ${hook}`)
-      process.exit(1)
-    }
-
-    if (!lstatSync(hook).isSymbolicLink() && (statSync(hook).mode & 0o111) === 0) {
-      log(`error: git hook is not executable: ${hook}`)
+  for (const hook of hookStatus(process.cwd())) {
+    if (hook.state !== 'installed') {
+      log(`error: git hook ${hook.name} is ${hook.state === 'foreign' ? 'not installed by ward' : hook.state}, run ward hooks install`)
       process.exit(1)
     }
   }
@@ -161,19 +135,25 @@ function checkGitignore() {
     process.exit(1)
   }
 
-  const content = execSync('cat .gitignore', { encoding: 'utf8' })
-  const privateDir = process.env.WARD_PRIVATE_FOLDER || 'private'
-  const archiveDir = process.env.WARD_ARCHIVE_FOLDER || '.archives'
-  
-  const required = [
-    `${privateDir}/*`,
-    `${archiveDir}/temp.tar`,
-    `!${archiveDir}/*.tar.gpg`
-  ]
+  // asks git, so any way of writing the rules counts
+  const ignored = file => {
+    try {
+      execFileSync('git', ['check-ignore', '-q', '--no-index', file], { stdio: 'pipe' })
+      return true
+    } catch {
+      return false
+    }
+  }
 
-  for (const rule of required) {
-    if (!content.includes(rule)) {
-      log(`error: .gitignore missing rule: ${rule}`)
+  for (const ward of vaults) {
+    const privateFolder = path.relative(process.cwd(), ward.privateDir)
+    const archiveFolder = path.relative(process.cwd(), ward.archiveDir)
+    if (!ignored(path.join(privateFolder, 'file'))) {
+      log(`error: ${vaultName(ward)}.gitignore doesn't ignore ${privateFolder}`)
+      process.exit(1)
+    }
+    if (ignored(path.join(archiveFolder, `archive${getBackend(ward.config.backend).extension}`))) {
+      log(`error: ${vaultName(ward)}.gitignore ignores the archives in ${archiveFolder}`)
       process.exit(1)
     }
   }
@@ -183,11 +163,8 @@ function checkGitignore() {
 log('checking directories...')
 checkDirs()
 
-log('checking environment...')
-checkEnv()
-
-log('checking GPG setup...')
-checkGpg()
+log('checking encryption setup...')
+await checkBackend()
 
 log('checking git hooks...')
 checkHooks()
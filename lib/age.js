@@ -0,0 +1,117 @@
+import os from 'os'
+import path from 'path'
+import { Readable } from 'stream'
+import { existsSync, readFileSync, rmSync, statSync } from 'fs'
+
+import { output, run } from './spawn.js'
+import { isAgeRecipient } from './recipients.js'
+
+export const name = 'age'
+export const extension = '.tar.age'
+export const signs = false
+
+const DEFAULT_IDENTITY = path.join(os.homedir(), '.config', 'age', 'keys.txt')
+
+export function detect(header) {
+  const text = header.toString('latin1')
+  return text.startsWith('age-encryption.org/') || text.startsWith('-----BEGIN AGE ENCRYPTED FILE-----')
+}
+
+export function accepts(id) {
+  return isAgeRecipient(id)
+}
+
+// identity files used for decryption, age's usual keys.txt when none are configured
+function identities({ ageIdentities }) {
+  if (ageIdentities.length > 0) {
+    return ageIdentities
+  }
+  return existsSync(DEFAULT_IDENTITY) ? [DEFAULT_IDENTITY] : []
+}
+
+// configured recipients, otherwise the public keys of our own identities
+async function configuredRecipients(config) {
+  if (config.ageRecipients.length > 0) {
+    return config.ageRecipients
+  }
+  const keys = await Promise.all(identities(config).map(file => output('age-keygen', ['-y', file])))
+  return keys.flatMap(key => key.split('\n').map(line => line.trim()).filter(Boolean))
+}
+
+// a recipient can also be a file of recipients, like an authorized_keys file
+function recipientArg(recipient) {
+  return existsSync(recipient) && statSync(recipient).isFile() ? ['-R', recipient] : ['-r', recipient]
+}
+
+export async function encryptStream(source, output, config) {
+  const recipients = await configuredRecipients(config)
+  if (recipients.length === 0) {
+    throw new Error('no age recipients, set WARD_AGE_RECIPIENTS or WARD_AGE_IDENTITY')
+  }
+
+  const input = Buffer.isBuffer(source) ? Readable.from([source]) : source
+  const { stdout, done } = run('age', ['-e', ...recipients.flatMap(recipientArg), '-o', output], input)
+  stdout.resume()
+
+  try {
+    await done
+  } catch (error) {
+    rmSync(output, { force: true })
+    throw error
+  }
+}
+
+export function decryptStream(input, config) {
+  const files = identities(config)
+  if (files.length === 0) {
+    throw new Error(`no age identity found, set WARD_AGE_IDENTITY or create ${DEFAULT_IDENTITY}`)
+  }
+  return run('age', ['-d', ...files.flatMap(file => ['-i', file]), input])
+}
+
+export async function listRecipients(config) {
+  return (await configuredRecipients(config)).map(recipient => ({
+    recipient,
+    fingerprint: null,
+    uid: null,
+    found: true
+  }))
+}
+
+// public keys from a recipients file, an ssh public key file, or given directly
+export async function importRecipients(input) {
+  const text = existsSync(input) && statSync(input).isFile() ? readFileSync(input, 'utf8') : input
+  if (text.includes('AGE-SECRET-KEY-')) {
+    throw new Error(`${input} is an identity, add its public key instead (age-keygen -y ${input})`)
+  }
+
+  const recipients = text.split('\n')
+    .map(line => line.trim())
+    .filter(isAgeRecipient)
+    .map(line => {
+      // ssh keys carry their comment as a third field
+      const [type, key, ...comment] = line.split(/\s+/)
+      return type.startsWith('ssh-')
+        ? { id: `${type} ${key}`, comment: comment.join(' ') || null }
+        : { id: type, comment: null }
+    })
+  if (recipients.length === 0) {
+    throw new Error(`no age public key found in ${input}`)
+  }
+  return recipients
+}
+
+export async function validate(config) {
+  await output('age', ['--version'])
+
+  const missing = identities(config).filter(file => !existsSync(file))
+  if (identities(config).length === 0 || missing.length > 0) {
+    throw new Error(`age identity ${missing[0] || DEFAULT_IDENTITY} not found, you need one to decrypt archives`)
+  }
+
+  const recipients = await listRecipients(config)
+  if (recipients.length === 0) {
+    throw new Error('no age recipients, set WARD_AGE_RECIPIENTS or WARD_AGE_IDENTITY')
+  }
+  return recipients
+}
@@ -0,0 +1,72 @@
+import { existsSync, readdirSync } from 'fs'
+
+import { isArchiveName } from './backends.js'
+
+// 2024-12-02_08-57-15-322Z, safe for filenames and sortable
+export function archiveTimestamp(date = new Date()) {
+  return date.toISOString()
+    .replace(/[:.]/g, '-')
+    .replace('T', '_')
+}
+
+export function parseArchiveDate(filename) {
+  const stem = filename.split('.')[0]
+  if (stem.includes('_')) {
+    // iso format (2024-12-02_00-49-38-434Z)
+    const [datePart, timePart] = stem.split('_')
+    const [year, month, day] = datePart.split('-').map(Number)
+    const [hour, minute, second, ms = 0] = timePart.split(/[-Z]/g).filter(Boolean).map(Number)
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second, ms))
+  }
+
+  // legacy unix timestamp format from utils.js (1733100000)
+  const seconds = parseInt(stem)
+  return new Date(Number.isNaN(seconds) ? 0 : seconds * 1000)
+}
+
+// the name an archive gets in this version of ward: unix timestamps (1733100000.tar.gpg,
+// from bin/utils.js before it used the library) become iso ones, null without a timestamp
+export function normalizeArchiveName(filename) {
+  const { stem } = parseArchiveName(filename)
+  if (!/^\d+$/.test(stem) && !/^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(-\d+)?Z$/.test(stem)) {
+    return null
+  }
+  return `${archiveTimestamp(parseArchiveDate(filename))}${filename.slice(stem.length)}`
+}
+
+// `<timestamp>[.<group>][.delta].tar.<ext>`, see policy.js for what a group is; a delta
+// only holds the files that changed since the archive before it
+export function parseArchiveName(filename) {
+  const match = filename.match(/^([^.]+)(?:\.(?!delta\.)([^.]+))?(\.delta)?\.tar\./)
+  return {
+    stem: match ? match[1] : filename.split('.')[0],
+    group: match?.[2] || null,
+    delta: Boolean(match?.[3])
+  }
+}
+
+// archives in a folder, newest first
+//
+// files sharing a timestamp are segments of one archive, the shared segment (no group)
+// comes first and names the archive
+export function listArchiveFiles(archiveDir) {
+  if (!existsSync(archiveDir)) {
+    return []
+  }
+
+  const archives = new Map()
+  for (const name of readdirSync(archiveDir).filter(isArchiveName).sort()) {
+    const { stem, group, delta } = parseArchiveName(name)
+    if (!archives.has(stem)) {
+      archives.set(stem, [])
+    }
+    archives.get(stem).push({ group, name, delta })
+  }
+
+  return [...archives.values()]
+    .map(segments => {
+      segments.sort((a, b) => (a.group === null ? -1 : b.group === null ? 1 : a.group.localeCompare(b.group)))
+      return { name: segments[0].name, date: parseArchiveDate(segments[0].name), segments }
+    })
+    .sort((a, b) => b.date - a.date)
+}
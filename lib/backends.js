@@ -0,0 +1,53 @@
+import { closeSync, openSync, readSync } from 'fs'
+
+import * as gpg from './gpg.js'
+import * as age from './age.js'
+
+// every backend exports the same surface:
+//
+//   name, extension              'gpg', '.tar.gpg'
+//   signs                        whether encryptStream signs, age can't
+//   secretFingerprints()         only when it signs, fingerprints of our own keys
+//   detect(header)               whether the first bytes of a file are this backend's format
+//   accepts(id)                  whether a line of .ward/recipients is meant for this backend
+//   encryptStream(source, file, config)   signs as well when the backend can
+//   decryptStream(file, config)  { stdout, done }, done rejects when decryption fails and
+//                                resolves to the signature { fingerprint, uid, error }, null
+//                                when the file isn't signed
+//   listRecipients(config)       [{ recipient, fingerprint, uid, found }]
+//   importRecipients(input)      [{ id, comment, key }] from a key file or key id, `key` is an
+//                                armored public key to commit when the backend needs one
+//   validate(config)             throws when the configuration can't encrypt and decrypt
+//
+// gpg and age are the only backends, an OpenPGP implementation in JS isn't included: gpg
+// already covers OpenPGP and keeps private keys in the agent instead of in this process
+export const BACKENDS = { gpg, age }
+
+export function getBackend(name) {
+  const backend = BACKENDS[name]
+  if (!backend) {
+    throw new Error(`unknown backend ${name}, expected one of: ${Object.keys(BACKENDS).join(', ')}`)
+  }
+  return backend
+}
+
+export function isArchiveName(name) {
+  return Object.values(BACKENDS).some(backend => name.endsWith(backend.extension))
+}
+
+// the backend that wrote an archive, read from the file's own header so a renamed file
+// still decrypts, with the extension as a fallback
+export function detectBackend(file) {
+  const header = Buffer.alloc(64)
+  const fd = openSync(file, 'r')
+  let length
+  try {
+    length = readSync(fd, header, 0, header.length, 0)
+  } finally {
+    closeSync(fd)
+  }
+
+  const backends = Object.values(BACKENDS)
+  const backend = length > 0 && backends.find(b => b.detect(header.subarray(0, length)))
+  return backend || backends.find(b => file.endsWith(b.extension)) || gpg
+}
@@ -0,0 +1,194 @@
+import os from 'os'
+import path from 'path'
+import dotenv from 'dotenv'
+import { existsSync, readFileSync } from 'fs'
+
+import { isAgeRecipient, readRecipients } from './recipients.js'
+import { RULES } from './retention.js'
+import { wardDir } from './state.js'
+import { BACKENDS, getBackend } from './backends.js'
+
+// what `ward clean` keeps unless told otherwise
+const RETENTION = { last: '10', daily: '14', weekly: '8', monthly: 'all' }
+
+// read .env from the project root without touching process.env
+function readEnvFile(cwd) {
+  const envFile = path.join(cwd, '.env')
+  if (!existsSync(envFile)) {
+    return {}
+  }
+  return dotenv.parse(readFileSync(envFile))
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value.map(v => v.trim()).filter(Boolean)
+  }
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean)
+}
+
+// WARD_ALLOW_UNSIGNED lists the backends whose unsigned archives are accepted, `true` stands
+// for the backends that can't sign, so allowing age archives never lets unsigned gpg ones through
+function unsignedBackends(value) {
+  if (value === 'true') {
+    return Object.values(BACKENDS).filter(backend => !backend.signs).map(backend => backend.name)
+  }
+  return splitList(value === 'false' ? '' : value).map(name => getBackend(name).name)
+}
+
+// ward.config.json declares several vaults in one repository, each with its own private
+// folder, archive folder, recipients and ignore file:
+//
+//   {
+//     "default": "dev",
+//     "vaults": {
+//       "dev": { "source": "private/dev", "archives": ".archives/dev" },
+//       "prod": { "source": "private/prod", "archives": ".archives/prod", "recipients": ".ward/prod.recipients" },
+//       "certs": { "source": "certs", "recipients": ["alice@example.com"], "ignore": "certs/.encignore" }
+//     }
+//   }
+//
+// source defaults to private/<name> and archives to .archives/<name>. recipients are a
+// recipients file like .ward/recipients or a list of gpg and age recipients, what a vault
+// leaves out comes from the environment as before. keys, the policy and the allowlist in
+// .ward are shared, and so are the signers, which are never read from the repository. without
+// the file there is one vault, configured by the environment, whose name is null
+export const VAULTS_FILE = 'ward.config.json'
+
+const VAULT_NAME = /^[a-z0-9][a-z0-9_-]*$/i
+
+function isInside(dir, parent) {
+  return dir === parent || dir.startsWith(parent + path.sep)
+}
+
+// the vaults of ward.config.json with their folders resolved, null without the file
+export function readVaults(cwd) {
+  const file = path.join(cwd, VAULTS_FILE)
+  if (!existsSync(file)) {
+    return null
+  }
+
+  let config
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new Error(`invalid ${VAULTS_FILE}: ${error.message}`)
+  }
+
+  const vaults = Object.entries(config.vaults || {}).map(([name, vault]) => {
+    if (!VAULT_NAME.test(name)) {
+      throw new Error(`invalid vault name ${name} in ${VAULTS_FILE}, use letters, digits, - and _`)
+    }
+    const { recipients = null } = vault
+    if (recipients !== null && typeof recipients !== 'string' && !Array.isArray(recipients)) {
+      throw new Error(`recipients of vault ${name} must be a recipients file or a list of recipients`)
+    }
+    return {
+      name,
+      privateDir: path.resolve(cwd, vault.source || path.join('private', name)),
+      archiveDir: path.resolve(cwd, vault.archives || path.join('.archives', name)),
+      ignoreFile: vault.ignore ? path.resolve(cwd, vault.ignore) : null,
+      recipients
+    }
+  })
+  if (vaults.length === 0) {
+    throw new Error(`${VAULTS_FILE} declares no vaults`)
+  }
+  if (config.default && !vaults.some(vault => vault.name === config.default)) {
+    throw new Error(`default vault ${config.default} is not declared in ${VAULTS_FILE}`)
+  }
+
+  // a folder shared or nested would be packed twice, or restoring one would delete the other
+  for (const vault of vaults) {
+    for (const other of vaults.filter(v => v !== vault)) {
+      const dirs = [vault.privateDir, vault.archiveDir]
+      if (dirs.some(dir => isInside(dir, other.privateDir) || isInside(dir, other.archiveDir))) {
+        throw new Error(`vaults ${vault.name} and ${other.name} overlap, every vault needs folders of its own`)
+      }
+    }
+  }
+
+  return { default: config.default || null, vaults }
+}
+
+// the vault named in options, or the default one
+function pickVault(declared, name) {
+  const names = declared.vaults.map(vault => vault.name)
+  const wanted = name || declared.default || (names.length === 1 ? names[0] : null)
+  if (!wanted) {
+    const error = new Error(`${VAULTS_FILE} declares several vaults and no default, pick one of: ${names.join(', ')}`)
+    error.vaults = names
+    throw error
+  }
+  const vault = declared.vaults.find(v => v.name === wanted)
+  if (!vault) {
+    throw new Error(`unknown vault ${wanted}, ${VAULTS_FILE} declares: ${names.join(', ')}`)
+  }
+  return vault
+}
+
+// names of every vault, [null] when there is no ward.config.json
+export function vaultNames(options = {}) {
+  const declared = readVaults(path.resolve(options.cwd || process.cwd()))
+  return declared ? declared.vaults.map(vault => vault.name) : [null]
+}
+
+// explicit options win, then the vault in ward.config.json, then the process environment,
+// then .env, then defaults
+export function loadConfig(options = {}) {
+  const cwd = path.resolve(options.cwd || process.cwd())
+  const fileEnv = readEnvFile(cwd)
+  const env = key => process.env[key] || fileEnv[key] || ''
+
+  const declared = readVaults(cwd)
+  if (options.vault && !declared) {
+    throw new Error(`no vaults declared, ${VAULTS_FILE} doesn't exist`)
+  }
+  const vault = declared ? pickVault(declared, options.vault) : null
+
+  const privateFolder = options.privateFolder || vault?.privateDir || env('WARD_PRIVATE_FOLDER') || 'private'
+  const archiveFolder = options.archiveFolder || vault?.archiveDir || env('WARD_ARCHIVE_FOLDER') || '.archives'
+
+  // the committed recipients file wins over the environment, each backend takes its own lines.
+  // a vault lists its own, with a list there is no file to edit
+  const inline = Array.isArray(vault?.recipients)
+  const recipientsFile = inline ? null : path.resolve(cwd, vault?.recipients || path.join('.ward', 'recipients'))
+  const listed = inline ? vault.recipients : readRecipients(recipientsFile).map(r => r.id)
+  const gpgListed = listed.filter(id => !isAgeRecipient(id))
+  const ageListed = listed.filter(isAgeRecipient)
+  // who may sign archives is what protects against whoever can push, so it only comes from
+  // this clone: the environment and a signers file in the git directory, never committed
+  const signersFile = path.join(wardDir(cwd), 'signers')
+  const signers = [...splitList(env('WARD_GPG_SIGNERS')), ...readRecipients(signersFile).map(r => r.id)]
+
+  return {
+    cwd,
+    vault: vault?.name || null,
+    // every vault's folders, so one vault can keep clear of the others
+    vaults: declared ? declared.vaults.map(({ name, privateDir, archiveDir }) => ({ name, privateDir, archiveDir })) : [],
+    privateDir: path.resolve(cwd, privateFolder),
+    archiveDir: path.resolve(cwd, archiveFolder),
+    ignoreFile: path.resolve(cwd, options.ignoreFile || vault?.ignoreFile || '.encignore'),
+    backend: options.backend || env('WARD_BACKEND') || 'gpg',
+    gpgKey: options.gpgKey || env('WARD_GPG_KEY'),
+    recipientsFile,
+    keysDir: path.resolve(cwd, '.ward', 'keys'),
+    policyFile: path.resolve(cwd, '.ward', 'policy.json'),
+    signersFile,
+    allowlistFile: path.resolve(cwd, '.ward', 'allowlist'),
+    recipients: splitList(options.recipients || (gpgListed.length > 0 ? gpgListed : env('WARD_GPG_RECIPIENTS'))),
+    ageRecipients: splitList(options.ageRecipients || (ageListed.length > 0 ? ageListed : env('WARD_AGE_RECIPIENTS'))),
+    ageIdentities: splitList(options.ageIdentities || env('WARD_AGE_IDENTITY'))
+      .map(file => path.resolve(cwd, file.replace(/^~(?=\/|$)/, os.homedir()))),
+    signers: splitList(options.signers || signers),
+    allowUnsigned: options.allowUnsigned ?? unsignedBackends(env('WARD_ALLOW_UNSIGNED')),
+    compression: options.compression || env('WARD_COMPRESSION') || 'none',
+    incremental: options.incremental ?? env('WARD_INCREMENTAL') === 'true',
+    fullEvery: options.fullEvery ?? (env('WARD_FULL_EVERY') || '10'),
+    // counts are checked by `ward clean`, not every time the config is loaded
+    retention: Object.fromEntries(RULES.map(rule => [
+      rule,
+      options.retention?.[rule] ?? (env(`WARD_KEEP_${rule.toUpperCase()}`) || RETENTION[rule])
+    ]))
+  }
+}
@@ -0,0 +1,156 @@
+// file level comparison of two sets of entries plus unified text diffs
+
+const CONTEXT = 3
+
+export function isText(buffer) {
+  return !buffer.subarray(0, 8000).includes(0)
+}
+
+// compare two entry lists by name, only regular files take part
+export function compareEntries(before, after) {
+  const files = list => new Map(list.filter(e => e.type === 'file').map(e => [e.name, e]))
+  const a = files(before)
+  const b = files(after)
+
+  const added = [...b.keys()].filter(name => !a.has(name)).sort()
+  const removed = [...a.keys()].filter(name => !b.has(name)).sort()
+  const modified = [...a.keys()]
+    .filter(name => b.has(name) && !a.get(name).data.equals(b.get(name).data))
+    .sort()
+
+  return { added, removed, modified, before: a, after: b }
+}
+
+// how many lines two files may differ in before they are only reported as different.
+// memory grows with the square of it, 2000 keeps a diff to about 16 MB
+export const MAX_EDITS = 2000
+
+// myers shortest edit script over two arrays of lines, null when they differ in more than
+// `limit` lines. lines both share at the start and end are matched up front, so a change in
+// a long file only costs as much as the part that changed
+export function editScript(a, b, limit = MAX_EDITS) {
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++
+  }
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const middle = shortestEdit(a.slice(start, endA), b.slice(start, endB), limit)
+  if (!middle) {
+    return null
+  }
+  const same = (from, to, shift) => Array.from({ length: to - from }, (_, i) => (
+    { op: ' ', line: a[from + i], a: from + i, b: from + i + shift }
+  ))
+  return [
+    ...same(0, start, 0),
+    ...middle.map(op => ({ ...op, a: op.a + start, b: op.b + start })),
+    ...same(endA, a.length, endB - endA)
+  ]
+}
+
+// each step d only keeps the furthest x of the diagonals it can reach, -d - 1 to d + 1,
+// which is all backtracking needs
+function shortestEdit(a, b, limit) {
+  const max = Math.min(a.length + b.length, limit)
+  const offset = max + 2
+  const v = new Int32Array(2 * max + 5)
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, a, b)
+      }
+    }
+  }
+  return null
+}
+
+function backtrack(trace, a, b) {
+  const ops = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = k => trace[d][k + d + 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && v(k - 1) < v(k + 1)) ? k + 1 : k - 1
+    const prevX = v(prevK)
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x], a: x, b: --y })
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ op: '+', line: b[--y], a: x, b: y })
+      } else {
+        ops.push({ op: '-', line: a[--x], a: x, b: y })
+      }
+    }
+  }
+
+  return ops.reverse()
+}
+
+export function splitLines(text) {
+  const lines = text.split('\n')
+  if (lines[lines.length - 1] === '') {
+    lines.pop()
+  }
+  return lines
+}
+
+// unified diff with three lines of context, empty string when both sides match and null
+// when they differ in more lines than editScript compares
+export function unifiedDiff(before, after, nameA, nameB) {
+  const ops = editScript(splitLines(before), splitLines(after))
+  if (!ops) {
+    return null
+  }
+  const changes = ops.map((op, i) => op.op !== ' ' ? i : -1).filter(i => i !== -1)
+  if (changes.length === 0) {
+    return ''
+  }
+
+  // group changes whose context overlaps into hunks
+  const hunks = []
+  for (const index of changes) {
+    const last = hunks[hunks.length - 1]
+    if (last && index - last.end <= CONTEXT * 2) {
+      last.end = index
+    } else {
+      hunks.push({ start: index, end: index })
+    }
+  }
+
+  const out = [`--- ${nameA}`, `+++ ${nameB}`]
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - CONTEXT), Math.min(ops.length, hunk.end + CONTEXT + 1))
+    const oldCount = slice.filter(op => op.op !== '+').length
+    const newCount = slice.filter(op => op.op !== '-').length
+    const oldStart = oldCount ? slice.find(op => op.op !== '+').a + 1 : slice[0].a
+    const newStart = newCount ? slice.find(op => op.op !== '-').b + 1 : slice[0].b
+
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`)
+    out.push(...slice.map(op => `${op.op}${op.line}`))
+  }
+
+  return out.join('\n')
+}
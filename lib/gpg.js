@@ -0,0 +1,212 @@
+import path from 'path'
+import { Readable } from 'stream'
+import { existsSync, rmSync, statSync } from 'fs'
+
+import { collect, output, run } from './spawn.js'
+import { isAgeRecipient } from './recipients.js'
+
+export const name = 'gpg'
+export const extension = '.tar.gpg'
+export const signs = true
+
+// openpgp packets always have the high bit set on their first byte, armored output is text
+export function detect(header) {
+  return header.toString('latin1').startsWith('-----BEGIN PGP MESSAGE-----') || (header[0] & 0x80) !== 0
+}
+
+// fingerprints, key ids and emails, anything that isn't an age key
+export function accepts(id) {
+  return !isAgeRecipient(id)
+}
+
+// every recipient, falling back to the signing key, then gpg's default key
+function configuredRecipients({ gpgKey, recipients }) {
+  if (recipients.length > 0) {
+    return recipients
+  }
+  return gpgKey ? [gpgKey] : []
+}
+
+// committed public key for a recipient, if there is one
+function keyFile({ keysDir }, recipient) {
+  const file = path.join(keysDir, `${recipient.toUpperCase()}.asc`)
+  return /^[0-9a-f]{40}$/i.test(recipient) && existsSync(file) ? file : null
+}
+
+// recipients with a committed key are encrypted for straight from the file, no import needed
+export function recipientArgs(config) {
+  return configuredRecipients(config).flatMap(r => {
+    const file = keyFile(config, r)
+    return file ? ['-f', file] : ['-r', r]
+  })
+}
+
+function keyArgs({ gpgKey }) {
+  return gpgKey ? ['--local-user', gpgKey] : []
+}
+
+// compressing what ward already compressed only costs time
+function compressionArgs({ compression }) {
+  return compression && compression !== 'none' ? ['-z', '0'] : []
+}
+
+// pipe a stream (or buffer) of plaintext through gpg into output, nothing is written unencrypted
+export async function encryptStream(source, output, config) {
+  const input = Buffer.isBuffer(source) ? Readable.from([source]) : source
+  const { stdout, done } = run(
+    'gpg',
+    ['--yes', '--trust-model', 'always', ...keyArgs(config), ...compressionArgs(config), ...recipientArgs(config), '-s', '-e', '-o', output],
+    input
+  )
+  stdout.resume()
+
+  try {
+    await done
+  } catch (error) {
+    rmSync(output, { force: true })
+    throw error
+  }
+}
+
+// decrypted contents of an archive as a stream, `done` rejects when gpg fails
+export function decryptStream(input, config) {
+  const { stdout, done } = run('gpg', ['-q', '--yes', '--status-fd', '3', ...keyArgs(config), '-d', input], null, { status: true })
+  const checked = done.then(status => {
+    // gpg only says so once the integrity check (MDC or AEAD) of the whole message passed
+    if (!/^\[GNUPG:\] DECRYPTION_OKAY/m.test(status)) {
+      throw new Error(`gpg did not confirm the integrity of ${path.basename(input)}`)
+    }
+    return parseSignature(status)
+  }, error => {
+    // gpg exits non-zero when it can't check a signature even though decryption worked, that
+    // is for the caller to judge from the signature
+    if (error.status && /^\[GNUPG:\] DECRYPTION_OKAY/m.test(error.status) && /^\[GNUPG:\] (ERRSIG|BADSIG)/m.test(error.status)) {
+      return parseSignature(error.status)
+    }
+    throw error
+  })
+  return { stdout, done: checked }
+}
+
+// the signature gpg checked while decrypting, from its --status-fd lines, null when unsigned
+//
+// a good signature is reported with the primary key's fingerprint, one we couldn't check
+// with the key id or fingerprint gpg gives and what went wrong
+export function parseSignature(status) {
+  const lines = status.split('\n')
+    .filter(line => line.startsWith('[GNUPG:] '))
+    .map(line => line.slice(9).split(' '))
+  const find = keyword => lines.find(fields => fields[0] === keyword)
+
+  const valid = find('VALIDSIG')
+  const good = find('GOODSIG')
+  if (valid && good) {
+    return { fingerprint: valid[10] || valid[1], uid: good.slice(2).join(' '), error: null }
+  }
+  const bad = find('BADSIG') || find('EXPKEYSIG') || find('REVKEYSIG')
+  if (bad) {
+    const reason = { BADSIG: 'bad signature', EXPKEYSIG: 'signing key expired', REVKEYSIG: 'signing key revoked' }
+    return { fingerprint: bad[1], uid: bad.slice(2).join(' '), error: reason[bad[0]] }
+  }
+  const failed = find('ERRSIG')
+  if (failed) {
+    return {
+      fingerprint: failed[8] && failed[8] !== '-' ? failed[8] : failed[1],
+      uid: null,
+      error: failed[6] === '9' ? 'signing key is not in your keyring' : 'signature could not be checked'
+    }
+  }
+  return null
+}
+
+// decrypt straight into memory so no plaintext touches the disk
+export async function decryptBuffer(input, config) {
+  const { stdout, done } = decryptStream(input, config)
+  const [data] = await Promise.all([collect(stdout), done])
+  return data
+}
+
+// primary fingerprint and first user id of every key in a --with-colons listing
+function parseKeys(listing) {
+  const keys = []
+  for (const record of listing.split('\n').map(line => line.split(':'))) {
+    const key = keys[keys.length - 1]
+    if (record[0] === 'pub' || record[0] === 'sec') {
+      keys.push({ fingerprint: null, uid: null })
+    } else if (record[0] === 'fpr' && key && !key.fingerprint) {
+      key.fingerprint = record[9]
+    } else if (record[0] === 'uid' && key && !key.uid) {
+      key.uid = record[9]
+    }
+  }
+  return keys.filter(key => key.fingerprint)
+}
+
+// first key matching a user id, email or key id, null when the keyring doesn't have one
+async function findKey(query, secret = false) {
+  try {
+    const listing = await output('gpg', ['--with-colons', secret ? '--list-secret-keys' : '--list-keys', '--', query])
+    return parseKeys(listing)[0] || null
+  } catch {
+    return null
+  }
+}
+
+// fingerprints of the keys we have secret keys for, whose signatures are our own
+export async function secretFingerprints() {
+  return parseKeys(await output('gpg', ['--with-colons', '--list-secret-keys'])).map(key => key.fingerprint)
+}
+
+// keys in a file, without importing them
+async function readKeyFile(file) {
+  return parseKeys(await output('gpg', ['--with-colons', '--import-options', 'show-only', '--import', file]))
+}
+
+// configured recipients with the key each one resolves to, from the keyring or a committed key
+export async function listRecipients(config) {
+  return Promise.all(configuredRecipients(config).map(async recipient => {
+    const file = keyFile(config, recipient)
+    const key = await findKey(recipient) || (file && (await readKeyFile(file))[0]) || null
+    return { recipient, fingerprint: key?.fingerprint || null, uid: key?.uid || null, found: Boolean(key) }
+  }))
+}
+
+// turn a key file or a key already in the keyring into recipients, with the armored public
+// key so it can be committed; key files are imported into the local keyring as well
+export async function importRecipients(input) {
+  let keys
+  if (existsSync(input) && statSync(input).isFile()) {
+    await output('gpg', ['--batch', '--import', input])
+    keys = await readKeyFile(input)
+  } else {
+    keys = [await findKey(input)].filter(Boolean)
+  }
+  if (keys.length === 0) {
+    throw new Error(`no gpg key found for ${input}`)
+  }
+
+  return Promise.all(keys.map(async ({ fingerprint, uid }) => ({
+    id: fingerprint,
+    comment: uid,
+    key: await output('gpg', ['--armor', '--export', fingerprint])
+  })))
+}
+
+// throws when archives couldn't be created or read with this configuration
+export async function validate(config) {
+  await output('gpg', ['--version'])
+
+  if (config.gpgKey && !await findKey(config.gpgKey, true)) {
+    throw new Error(`WARD_GPG_KEY ${config.gpgKey} not found in secret keys`)
+  }
+  if (!/^sec:/m.test(await output('gpg', ['--with-colons', '--list-secret-keys']))) {
+    throw new Error('no gpg secret keys found, you need one to decrypt archives')
+  }
+
+  const recipients = await listRecipients(config)
+  const missing = recipients.filter(r => !r.found)
+  if (missing.length > 0) {
+    throw new Error(`gpg key for ${missing.map(r => `"${r.recipient}"`).join(', ')} not found`)
+  }
+  return recipients
+}
@@ -0,0 +1,109 @@
+import path from 'path'
+import { execFileSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { chmodSync, existsSync, mkdirSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs'
+
+// git hooks ward installs, each a few lines calling `ward hooks run <hook>` so what they do
+// lives in ward and follows WARD_PRIVATE_FOLDER and WARD_ARCHIVE_FOLDER
+//
+//   pre-commit     keeps the private folder and values copied out of it out of commits
+//   post-checkout  restores the latest archive after switching branches
+//   post-merge     restores, then merges vault changes when both sides packed
+//   post-rewrite   the same after git pull --rebase
+//   pre-push       refuses to push an archive that doesn't verify, git has no post-push
+//
+// hooks go wherever git looks for them, core.hooksPath included. a hook that was already
+// there is kept as <hook>.pre-ward and runs first, uninstall puts it back
+
+export const HOOKS = ['pre-commit', 'post-checkout', 'post-merge', 'post-rewrite', 'pre-push']
+
+const MARKER = '# installed by ward'
+const CHAINED = '.pre-ward'
+const WARD = fileURLToPath(new URL('../bin/ward', import.meta.url))
+
+// hooks that get input on stdin, which the chained hook and ward both need
+const STDIN = new Set(['pre-push', 'post-rewrite'])
+
+function quote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`
+}
+
+export function hooksDir(cwd) {
+  const dir = execFileSync('git', ['rev-parse', '--git-path', 'hooks'], { cwd, encoding: 'utf8', stdio: 'pipe' }).trim()
+  return path.resolve(cwd, dir)
+}
+
+// what ward writes for a hook; pre- hooks stop when the chained hook fails, like git would
+export function hookScript(name) {
+  const run = `node ${quote(WARD)} hooks run ${name} "$@"`
+  const stop = name.startsWith('pre-') ? ' || exit $?' : ''
+  const chained = `"$0${CHAINED}" "$@"${stop}`
+
+  const lines = ['#!/bin/sh', `${MARKER}, see \`ward hooks status\``, '']
+  if (STDIN.has(name)) {
+    lines.push(
+      'input=$(cat)',
+      `if [ -x "$0${CHAINED}" ]; then printf '%s\\n' "$input" | ${chained}; fi`,
+      `printf '%s\\n' "$input" | exec ${run}`
+    )
+  } else {
+    lines.push(`if [ -x "$0${CHAINED}" ]; then ${chained}; fi`, `exec ${run}`)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+// installed, outdated (ward's but not what it would write now), foreign (someone else's,
+// install chains it) or missing, and whether a previous hook is chained
+export function hookStatus(cwd) {
+  const dir = hooksDir(cwd)
+  return HOOKS.map(name => {
+    const file = path.join(dir, name)
+    const chained = existsSync(`${file}${CHAINED}`)
+    if (!existsSync(file)) {
+      return { name, file, state: 'missing', chained }
+    }
+    const content = readFileSync(file, 'utf8')
+    const state = content === hookScript(name) ? 'installed' : content.includes(MARKER) ? 'outdated' : 'foreign'
+    return { name, file, state, chained }
+  })
+}
+
+// safe to run again, only what is missing or outdated is written
+export function installHooks(cwd) {
+  const dir = hooksDir(cwd)
+  if (existsSync(dir) && !statSync(dir).isDirectory()) {
+    throw new Error(`git hooks are turned off, core.hooksPath is ${dir}`)
+  }
+  mkdirSync(dir, { recursive: true })
+
+  return hookStatus(cwd).map(hook => {
+    if (hook.state === 'installed') {
+      return { ...hook, action: 'unchanged' }
+    }
+    if (hook.state === 'foreign') {
+      if (hook.chained) {
+        return { ...hook, action: 'skipped', reason: `${path.basename(hook.file)}${CHAINED} already exists` }
+      }
+      renameSync(hook.file, `${hook.file}${CHAINED}`)
+    }
+    writeFileSync(hook.file, hookScript(hook.name))
+    chmodSync(hook.file, 0o755)
+    const action = hook.state === 'outdated' ? 'updated' : hook.state === 'foreign' ? 'chained' : 'installed'
+    return { ...hook, state: 'installed', chained: hook.chained || hook.state === 'foreign', action }
+  })
+}
+
+// removes ward's hooks and puts back the ones they chained, anything else is left alone
+export function uninstallHooks(cwd) {
+  return hookStatus(cwd).map(hook => {
+    if (hook.state !== 'installed' && hook.state !== 'outdated') {
+      return { ...hook, action: 'unchanged' }
+    }
+    rmSync(hook.file)
+    if (hook.chained) {
+      renameSync(`${hook.file}${CHAINED}`, hook.file)
+      return { ...hook, state: 'foreign', chained: false, action: 'restored' }
+    }
+    return { ...hook, state: 'missing', action: 'removed' }
+  })
+}
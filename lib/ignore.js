@@ -0,0 +1,90 @@
+import path from 'path'
+import { minimatch } from 'minimatch'
+import { existsSync, readFileSync, statSync } from 'fs'
+
+// .encignore follows .gitignore rules:
+//
+//   - blank lines and lines starting with # are skipped, \# and \! escape a leading # or !
+//   - a pattern without a slash matches a name at any depth, one with a slash in the
+//     beginning or middle is relative to the folder of the file it is in
+//   - a trailing slash only matches directories
+//   - ! re-includes what an earlier pattern excluded, but nothing inside an excluded
+//     directory, which isn't looked into at all
+//   - the last matching pattern wins, patterns of .encignore files in subfolders of the
+//     private folder come after those of the folders above them
+//
+// the .encignore next to the private folder applies to the whole private folder
+
+const OPTIONS = { dot: true, nonegate: true, nocomment: true }
+
+// rules of one ignore file, base being its folder relative to the private folder
+export function parseIgnore(text, { base = '', source = '.encignore' } = {}) {
+  return text.split('\n').flatMap((line, index) => {
+    // trailing spaces are dropped unless escaped
+    let pattern = line.replace(/\r$/, '').replace(/(?<!\\) +$/, '')
+    if (!pattern || pattern.startsWith('#')) {
+      return []
+    }
+
+    const negate = pattern.startsWith('!')
+    if (negate) {
+      pattern = pattern.slice(1)
+    }
+    const directoryOnly = pattern.endsWith('/')
+    pattern = pattern.replace(/\/+$/, '')
+    const anchored = pattern.includes('/')
+    pattern = pattern.replace(/^\/+/, '')
+    if (!pattern) {
+      return []
+    }
+
+    return [{ pattern, negate, directoryOnly, anchored, base, source, line: index + 1, text: line.trim() }]
+  })
+}
+
+function matches(rule, name, isDirectory) {
+  if (rule.directoryOnly && !isDirectory) {
+    return false
+  }
+  if (rule.base && !name.startsWith(`${rule.base}/`)) {
+    return false
+  }
+  const relative = rule.base ? name.slice(rule.base.length + 1) : name
+  return minimatch(rule.anchored ? relative : path.posix.basename(relative), rule.pattern, OPTIONS)
+}
+
+// match(name, isDirectory) for paths relative to root: null when no pattern matches,
+// otherwise whether the path is ignored, the rule that decided it, and the excluded parent
+// directory when it was that directory's rule
+//
+// ignore files of subfolders are read the first time a path below them is matched
+export function createMatcher(root, rules = [], fileName = '.encignore') {
+  const nested = new Map()
+  const rulesIn = folder => {
+    if (!nested.has(folder)) {
+      const file = path.join(root, folder, fileName)
+      const text = existsSync(file) && statSync(file).isFile() ? readFileSync(file, 'utf8') : ''
+      nested.set(folder, parseIgnore(text, { base: folder, source: path.posix.join(folder, fileName) }))
+    }
+    return nested.get(folder)
+  }
+
+  const decide = (name, isDirectory) => {
+    const parts = name.split('/')
+    const folders = parts.map((_, i) => parts.slice(0, i).join('/'))
+    const rule = [...rules, ...folders.flatMap(rulesIn)].findLast(rule => matches(rule, name, isDirectory))
+    return rule ? { ignored: !rule.negate, rule, directory: null } : null
+  }
+
+  return function match(name, isDirectory = false) {
+    const parts = name.split('/')
+    for (let i = 1; i < parts.length; i++) {
+      const directory = parts.slice(0, i).join('/')
+      const decision = decide(directory, true)
+      if (decision?.ignored) {
+        return { ...decision, directory }
+      }
+    }
+    return decide(name, isDirectory)
+  }
+}
@@ -0,0 +1,152 @@
+import { minimatch } from 'minimatch'
+import { existsSync, readFileSync } from 'fs'
+
+import { isText } from './diff.js'
+import { sha256 } from './manifest.js'
+
+// finds secrets in lines about to be committed: values copied out of the vault, and things
+// that look like credentials whether or not they came from it
+//
+// vault values are compared by hash, a line matches when it, or any value in it, hashes the
+// same as a line or value in the private folder. findings are reported by fingerprint, never
+// by their value, and .ward/allowlist silences them:
+//
+//   # a whole file, or every file matching a glob
+//   test/fixtures/**
+//   # one value wherever it shows up, the fingerprint from the report
+//   sha256:3f1a9c0d2b7e4a51
+//
+// lines containing `ward:allow` are skipped as well
+
+const MIN_LENGTH = 8
+
+export const PATTERNS = [
+  { rule: 'private-key', description: 'private key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----/ },
+  { rule: 'aws-access-key', description: 'AWS access key id', regex: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { rule: 'github-token', description: 'GitHub token', regex: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+  { rule: 'slack-token', description: 'Slack token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { rule: 'stripe-key', description: 'Stripe secret key', regex: /\b[rs]k_live_[A-Za-z0-9]{16,}\b/ },
+  { rule: 'google-api-key', description: 'Google API key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { rule: 'jwt', description: 'JSON web token', regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+  { rule: 'url-password', description: 'password in a URL', regex: /[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s/@]{3,})@/i }
+]
+
+// `password = "..."` and friends, only reported when the value looks random
+const ASSIGNMENT = /(passw(or)?d|secret|token|api[_-]?key|access[_-]?key|credential|auth)[\w.-]*["']?\s*[:=]\s*["'`]?([^\s"'`,;]+)/i
+
+// bits per character, random base64 is close to 6, english text below 4
+export function entropy(value) {
+  const counts = new Map()
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1)
+  }
+  return [...counts.values()].reduce((sum, count) => {
+    const p = count / value.length
+    return sum - p * Math.log2(p)
+  }, 0)
+}
+
+export function fingerprint(value) {
+  return `sha256:${sha256(Buffer.from(value)).slice(0, 16)}`
+}
+
+// the line and every value in it worth comparing: words split on whitespace, quotes and
+// punctuation, and the right hand side of key=value or key: value
+function candidates(line) {
+  const trimmed = line.trim()
+  const tokens = trimmed.split(/[\s"'`,;()[\]{}<>]+/).filter(Boolean)
+  const values = tokens.flatMap(token => {
+    const assigned = token.match(/^[\w.-]+[:=](.+)$/)
+    return assigned ? [token, assigned[1]] : [token]
+  })
+  // plain words are too common to mean anything, long ones excepted
+  return [...new Set([trimmed, ...values])]
+    .filter(value => value.length >= MIN_LENGTH && !(/^[a-z]+$/i.test(value) && value.length < 16))
+}
+
+// hashes of everything in the vault that could leak -> where it came from, folder being
+// the private folder the entry names are relative to
+export function vaultFingerprints(entries, folder) {
+  const fingerprints = new Map()
+  for (const entry of entries.filter(e => e.type === 'file' && isText(e.data))) {
+    entry.data.toString('utf8').split('\n').forEach((line, index) => {
+      for (const value of candidates(line)) {
+        fingerprints.set(fingerprint(value), { file: `${folder}/${entry.name}`, line: index + 1 })
+      }
+    })
+  }
+  return fingerprints
+}
+
+// added lines of a `git diff -U0` with the line number each one gets in the new file
+//
+// names come from files, the `--name-only -z` listing of the same diff, one per `diff --git`
+// header: the patch quotes unusual names and its a/ b/ prefixes depend on diff.noprefix. every
+// line of a hunk starts with +, - or a space, so `+++ ` after the first @@ is an added line
+export function addedLines(diff, files) {
+  const lines = []
+  let index = -1
+  let hunk = false
+  let number = 0
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      index++
+      hunk = false
+    } else if (line.startsWith('@@')) {
+      hunk = true
+      number = parseInt(line.match(/\+(\d+)/)[1])
+    } else if (hunk && line.startsWith('+')) {
+      lines.push({ file: files[index], line: number++, text: line.slice(1) })
+    }
+  }
+  return lines
+}
+
+export function readAllowlist(file) {
+  const allowlist = { globs: [], fingerprints: new Set() }
+  if (!existsSync(file)) {
+    return allowlist
+  }
+  for (const entry of readFileSync(file, 'utf8').split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean)) {
+    if (entry.startsWith('sha256:')) {
+      allowlist.fingerprints.add(entry)
+    } else {
+      allowlist.globs.push(entry.replace(/^\.?\/+/, ''))
+    }
+  }
+  return allowlist
+}
+
+// findings for added lines, at most one per rule and line
+export function scanLines(lines, vault, allowlist) {
+  const findings = []
+  for (const { file, line, text } of lines) {
+    if (text.includes('ward:allow') || allowlist.globs.some(glob => minimatch(file, glob, { dot: true, matchBase: !glob.includes('/') }))) {
+      continue
+    }
+
+    const found = []
+    const source = candidates(text).map(value => vault.get(fingerprint(value)) && { value, from: vault.get(fingerprint(value)) }).find(Boolean)
+    if (source) {
+      found.push({ rule: 'vault', description: `value from ${source.from.file}:${source.from.line}`, value: source.value })
+    }
+    for (const { rule, description, regex } of PATTERNS) {
+      const match = text.match(regex)
+      if (match) {
+        found.push({ rule, description, value: match[0] })
+      }
+    }
+    const assignment = text.match(ASSIGNMENT)
+    if (assignment && assignment[3].length >= 16 && entropy(assignment[3]) >= 3.5) {
+      found.push({ rule: 'high-entropy', description: `random looking ${assignment[1].toLowerCase()}`, value: assignment[3] })
+    }
+
+    for (const { rule, description, value } of found) {
+      const id = fingerprint(value)
+      if (!allowlist.fingerprints.has(id)) {
+        findings.push({ file, line, rule, description, fingerprint: id })
+      }
+    }
+  }
+  return findings
+}
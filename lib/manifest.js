@@ -0,0 +1,40 @@
+import { createHash } from 'crypto'
+
+// where archives kept their manifest before it moved into the header (see payload.js),
+// hidden from listings and restores
+export const MANIFEST_ENTRY = '.ward-manifest.json'
+
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex')
+}
+
+// path -> { sha256, size, mode } for every regular file
+export function buildManifest(entries) {
+  const files = {}
+  for (const entry of entries) {
+    if (entry.type === 'file') {
+      files[entry.name] = { sha256: sha256(entry.data), size: entry.data.length, mode: entry.mode & 0o777 }
+    }
+  }
+  return { version: 1, files }
+}
+
+// one manifest covering the files of several segments
+export function mergeManifests(manifests) {
+  return { version: 1, files: Object.assign({}, ...manifests.map(m => m.files)) }
+}
+
+// added, removed and modified paths going from manifest a to manifest b
+export function compareManifests(a, b) {
+  const before = a?.files || {}
+  const after = b?.files || {}
+
+  const added = Object.keys(after).filter(name => !before[name]).sort()
+  const removed = Object.keys(before).filter(name => !after[name]).sort()
+  const modified = Object.keys(after)
+    .filter(name => before[name])
+    .filter(name => before[name].sha256 !== after[name].sha256 || before[name].mode !== after[name].mode)
+    .sort()
+
+  return { added, removed, modified, changed: added.length + removed.length + modified.length > 0 }
+}
@@ -0,0 +1,122 @@
+import { editScript, isText, splitLines } from './diff.js'
+
+// three-way merge of two archives that were packed from the same base, file by file
+//
+// a file only one side changed takes that side's version, one both sides changed the same way
+// is taken as is. text files both sides changed differently are merged line by line like
+// diff3, overlapping changes get conflict markers; anything else both sides changed (binary
+// files, a change on one side and a deletion on the other, text files too different from
+// the base to diff) keeps our version and writes each side next to it as <name>.ours and
+// <name>.theirs
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i])
+}
+
+// base line index -> line index in other, for the lines the two have in common. null when
+// they differ in more lines than editScript compares
+function commonLines(base, other) {
+  const ops = editScript(base, other)
+  return ops && new Map(ops.filter(op => op.op === ' ').map(op => [op.a, op.b]))
+}
+
+// line based three-way merge, walking from one line all three sides share to the next.
+// null when a side is too different from the base to merge line by line
+export function mergeText(base, ours, theirs, labels = { ours: 'ours', theirs: 'theirs' }) {
+  const [b, o, t] = [base, ours, theirs].map(splitLines)
+  const inOurs = commonLines(b, o)
+  const inTheirs = inOurs && commonLines(b, t)
+  if (!inTheirs) {
+    return null
+  }
+  const lines = []
+  let conflicts = 0
+
+  let i = 0
+  let j = 0
+  let k = 0
+  for (;;) {
+    let next = i
+    while (next < b.length && !(inOurs.has(next) && inTheirs.has(next))) {
+      next++
+    }
+    const done = next >= b.length
+    const chunk = {
+      base: b.slice(i, next),
+      ours: o.slice(j, done ? o.length : inOurs.get(next)),
+      theirs: t.slice(k, done ? t.length : inTheirs.get(next))
+    }
+
+    if (sameLines(chunk.ours, chunk.theirs) || sameLines(chunk.base, chunk.theirs)) {
+      lines.push(...chunk.ours)
+    } else if (sameLines(chunk.base, chunk.ours)) {
+      lines.push(...chunk.theirs)
+    } else {
+      conflicts++
+      lines.push(`<<<<<<< ${labels.ours}`, ...chunk.ours, '=======', ...chunk.theirs, `>>>>>>> ${labels.theirs}`)
+    }
+
+    if (done) {
+      break
+    }
+    lines.push(b[next])
+    i = next + 1
+    j = inOurs.get(next) + 1
+    k = inTheirs.get(next) + 1
+  }
+
+  const newline = /\n$/.test(ours || theirs) ? '\n' : ''
+  return { text: lines.length > 0 ? `${lines.join('\n')}${newline}` : '', conflicts }
+}
+
+function sameFile(a, b) {
+  return a && b ? a.data.equals(b.data) : a === b
+}
+
+// entries of the merged result, which files were merged line by line and which conflict
+export function mergeEntries(base, ours, theirs, labels) {
+  const files = list => new Map(list.filter(e => e.type === 'file').map(e => [e.name, e]))
+  const [b, o, t] = [base, ours, theirs].map(files)
+  const names = [...new Set([...o.keys(), ...t.keys(), ...b.keys()])].sort()
+
+  const directories = new Map([...ours, ...theirs].filter(e => e.type === 'directory').map(e => [e.name, e]))
+  const result = []
+  const merged = []
+  const conflicts = []
+
+  for (const name of names) {
+    const [before, mine, other] = [b.get(name), o.get(name), t.get(name)]
+    // a deletion is a change like any other, the side that made it wins when the other didn't
+    const taken = sameFile(mine, other) || sameFile(before, other) ? [mine] : sameFile(before, mine) ? [other] : null
+    if (taken) {
+      result.push(...taken.filter(Boolean))
+      continue
+    }
+
+    const text = mine && other && [before, mine, other].every(entry => !entry || isText(entry.data))
+      ? mergeText(before ? before.data.toString('utf8') : '', mine.data.toString('utf8'), other.data.toString('utf8'), labels)
+      : null
+    if (text) {
+      const data = Buffer.from(text.text)
+      result.push({ ...mine, data, size: data.length, mtime: new Date() })
+      if (text.conflicts > 0) {
+        conflicts.push({ name, markers: text.conflicts, copies: [] })
+      } else {
+        merged.push(name)
+      }
+      continue
+    }
+
+    const copies = [[mine, 'ours'], [other, 'theirs']]
+      .filter(([entry]) => entry)
+      .map(([entry, side]) => ({ ...entry, name: `${name}.${side}` }))
+    result.push(...(mine ? [mine] : []), ...copies)
+    conflicts.push({ name, markers: 0, copies: copies.map(copy => copy.name) })
+  }
+
+  return {
+    entries: [...directories.values(), ...result].sort((x, y) => x.name.localeCompare(y.name)),
+    merged,
+    conflicts
+  }
+}
@@ -0,0 +1,124 @@
+import zlib from 'zlib'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+
+import { readTar, tarStream } from './tar.js'
+
+// what goes through the backend: a header line describing the archive, then the tarball,
+// compressed the way the header says
+//
+//   ward-archive {"format":1,"created_at":"2024-12-02T08:57:15.322Z","packer":{...},
+//                 "message":null,"backend":"gpg","compression":"brotli","group":null,
+//                 "files":12,"manifest":{...}}
+//   <compressed tar>
+//
+// the header is encrypted and signed along with everything else. `format` only goes up
+// when older versions of ward can't read an archive any more, new fields don't need it.
+// archives packed before the header existed are a bare tar, read as format 0
+
+const MAGIC = Buffer.from('ward-archive ')
+const MAX_HEADER = 16 * 1024 * 1024
+
+export const FORMAT = 1
+
+export const COMPRESSIONS = {
+  none: null,
+  gzip: {
+    compress: () => zlib.createGzip(),
+    decompress: () => zlib.createGunzip()
+  },
+  brotli: {
+    compress: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } }),
+    decompress: () => zlib.createBrotliDecompress()
+  }
+}
+
+export function checkCompression(name) {
+  if (!(name in COMPRESSIONS)) {
+    throw new Error(`unknown compression ${name}, expected one of: ${Object.keys(COMPRESSIONS).join(', ')}`)
+  }
+  return name
+}
+
+// header line + tarball of entries as one stream, ready for backend.encryptStream
+export function payloadStream(entries, header) {
+  const line = Buffer.from(`${MAGIC}${JSON.stringify({ format: FORMAT, ...header })}\n`)
+  const codec = COMPRESSIONS[checkCompression(header.compression)]
+  const tar = tarStream(entries)
+  const body = codec ? tar.pipe(codec.compress()) : tar
+
+  return Readable.from((async function* () {
+    yield line
+    yield* body
+  })())
+}
+
+// split a decrypted stream into its header and the rest, without buffering the rest
+async function splitHeader(stream) {
+  const chunks = stream[Symbol.asyncIterator]()
+  let head = Buffer.alloc(0)
+  let header = null
+
+  while (head.length < MAGIC.length || (head.subarray(0, MAGIC.length).equals(MAGIC) && !head.includes(10))) {
+    const { value, done } = await chunks.next()
+    if (done) {
+      break
+    }
+    head = Buffer.concat([head, value])
+    if (head.length > MAX_HEADER) {
+      throw new Error('archive header is too large')
+    }
+  }
+
+  if (head.subarray(0, MAGIC.length).equals(MAGIC)) {
+    const newline = head.indexOf(10)
+    if (newline === -1) {
+      const error = new Error('unexpected end of archive header')
+      error.truncated = true
+      throw error
+    }
+    header = JSON.parse(head.subarray(MAGIC.length, newline).toString('utf8'))
+    head = head.subarray(newline + 1)
+  }
+
+  const rest = Readable.from((async function* () {
+    yield head
+    for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+      yield next.value
+    }
+  })())
+  return { header: header || { format: 0, compression: 'none' }, rest }
+}
+
+// only the header of a decrypted stream, the caller stops reading after it
+export async function readHeader(stream) {
+  return (await splitHeader(stream)).header
+}
+
+// header and entries of a decrypted stream
+//
+// decompression errors at the end of the data count as truncation, like readTar's, so the
+// backend's error is the one reported when it stopped early
+export async function readPayload(stream) {
+  const { header, rest } = await splitHeader(stream)
+  if (header.format > FORMAT) {
+    throw new Error(`archive format ${header.format} is newer than this version of ward understands, upgrade ward`)
+  }
+
+  const codec = COMPRESSIONS[checkCompression(header.compression || 'none')]
+  if (!codec) {
+    return { header, entries: await readTar(rest) }
+  }
+
+  const decompress = codec.decompress()
+  const [piped, read] = await Promise.allSettled([pipeline(rest, decompress), readTar(decompress)])
+  const failed = [piped, read].find(result => result.status === 'rejected')
+  if (failed) {
+    const error = failed.reason
+    if (error.code === 'Z_BUF_ERROR') {
+      error.truncated = true
+    }
+    throw error
+  }
+  return { header, entries: read.value }
+}
@@ -0,0 +1,73 @@
+import { minimatch } from 'minimatch'
+import { existsSync, readFileSync } from 'fs'
+
+// .ward/policy.json gives some paths a smaller audience than the whole team:
+//
+//   {
+//     "groups": { "signing": ["alice@example.com", "bob@example.com"] },
+//     "paths": { "signing/**": "signing", "*.p12": "signing" }
+//   }
+//
+// globs follow the same minimatch rules as .encignore, the first one that matches a path or
+// any of its parent folders wins, and everything unmatched is readable by every recipient.
+// group members refer to entries of .ward/recipients by fingerprint, key id, name or email
+
+const GROUP_NAME = /^[a-z0-9][a-z0-9_-]*$/i
+
+export function readPolicy(file) {
+  if (!existsSync(file)) {
+    return { groups: {}, paths: [] }
+  }
+
+  let policy
+  try {
+    policy = JSON.parse(readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new Error(`invalid ${file}: ${error.message}`)
+  }
+
+  const groups = policy.groups || {}
+  for (const [group, members] of Object.entries(groups)) {
+    if (!GROUP_NAME.test(group)) {
+      throw new Error(`invalid policy group name ${group}, use letters, digits, - and _`)
+    }
+    if (group === 'delta') {
+      throw new Error('policy group name delta is reserved for incremental archives')
+    }
+    if (!Array.isArray(members)) {
+      throw new Error(`policy group ${group} must be a list of recipients`)
+    }
+  }
+
+  const paths = Object.entries(policy.paths || {}).map(([glob, group]) => {
+    if (!groups[group]) {
+      throw new Error(`policy path ${glob} refers to unknown group ${group}`)
+    }
+    return { glob: glob.replace(/^\.?\/+/, '').replace(/\/+$/, ''), group }
+  })
+
+  return { groups, paths }
+}
+
+// the group a path belongs to, null for the segment everyone can read
+export function groupOf(policy, name) {
+  const parts = name.split('/')
+  const candidates = parts.map((_, i) => parts.slice(0, i + 1).join('/'))
+  const rule = policy.paths.find(({ glob }) => candidates.some(candidate =>
+    minimatch(candidate, glob, { dot: true, matchBase: !glob.includes('/') })
+  ))
+  return rule ? rule.group : null
+}
+
+// entries split by group, the shared segment always comes first and always exists
+export function splitEntries(entries, policy) {
+  const segments = new Map([[null, []]])
+  for (const entry of entries) {
+    const group = groupOf(policy, entry.name)
+    if (!segments.has(group)) {
+      segments.set(group, [])
+    }
+    segments.get(group).push(entry)
+  }
+  return segments
+}
@@ -0,0 +1,52 @@
+import path from 'path'
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs'
+
+// .ward/recipients holds one recipient per line, a gpg fingerprint or an age public key,
+// optionally followed by a `# name` comment:
+//
+//   C222411DB342CCF5C79D3AD3033ACFCA5DA6E7C8  # Bob <bob@example.com>
+//   age1ql3z7hjy54pw3hyww5ayyfg7zqgvc7w3j2elw8zmrj2kg5sfn9aqmcac8p  # ci
+//
+// gpg public keys are committed next to it as .ward/keys/<fingerprint>.asc so everybody can
+// encrypt for the whole team without importing anything
+
+const HEADER = '# ward recipients, one per line: a gpg fingerprint or an age public key'
+
+// age and ssh public keys are self-describing, everything else is for gpg
+export function isAgeRecipient(id) {
+  return /^(age1|ssh-)/.test(id)
+}
+
+export function readRecipients(file) {
+  if (!existsSync(file)) {
+    return []
+  }
+
+  return readFileSync(file, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const hash = line.indexOf('#')
+      const id = (hash === -1 ? line : line.slice(0, hash)).trim()
+      const comment = hash === -1 ? null : line.slice(hash + 1).trim() || null
+      return { id, comment }
+    })
+}
+
+export function writeRecipients(file, recipients) {
+  const width = Math.max(0, ...recipients.map(r => r.id.length))
+  const lines = recipients.map(({ id, comment }) => comment ? `${id.padEnd(width)}  # ${comment}` : id)
+
+  mkdirSync(path.dirname(file), { recursive: true })
+  writeFileSync(file, `${[HEADER, ...lines].join('\n')}\n`)
+}
+
+// entries matching a fingerprint, key id (a fingerprint suffix), name or email
+export function findRecipients(recipients, query) {
+  const needle = query.toLowerCase()
+  return recipients.filter(r =>
+    r.id.toLowerCase().endsWith(needle.replace(/\s+/g, '')) ||
+    r.comment?.toLowerCase().includes(needle)
+  )
+}
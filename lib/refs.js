@@ -0,0 +1,216 @@
+import path from 'path'
+import { execFileSync } from 'child_process'
+
+import { isArchiveName } from './backends.js'
+import { parseArchiveDate, parseArchiveName } from './archive.js'
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' })
+}
+
+// archive filename -> commit that added it, from a single walk over the archive folder history
+export function archiveCommits(archiveDir, cwd) {
+  const commits = new Map()
+
+  let output
+  try {
+    output = git([
+      'log',
+      '--diff-filter=A',
+      '--name-only',
+      '--format=%x00%H%x09%at%x09%an <%ae>%x09%s',
+      '--',
+      path.relative(cwd, archiveDir) || '.'
+    ], cwd)
+  } catch {
+    // not a git repository, or no commits yet
+    return commits
+  }
+
+  for (const chunk of output.split('\0').filter(Boolean)) {
+    const [header, ...files] = chunk.split('\n').filter(Boolean)
+    const [hash, timestamp, author, message = ''] = header.split('\t')
+    const commit = {
+      hash,
+      short: hash.slice(0, 7),
+      author,
+      date: new Date(parseInt(timestamp) * 1000),
+      message
+    }
+
+    // log is newest first, so keep the most recent commit that added each name
+    for (const file of files) {
+      const name = path.basename(file)
+      if (!commits.has(name)) {
+        commits.set(name, commit)
+      }
+    }
+  }
+
+  return commits
+}
+
+// newest archive in a commit's tree, by timestamp
+function newestArchive(commit, folder, cwd) {
+  const [newest = null] = git(['ls-tree', '--name-only', commit, '--', `${folder}/`], cwd)
+    .split('\n')
+    .map(file => path.basename(file))
+    .filter(isArchiveName)
+    .map(name => parseArchiveName(name).stem)
+    .sort((a, b) => parseArchiveDate(b) - parseArchiveDate(a))
+  return newest
+}
+
+// archive timestamp -> tags whose commit had it as the newest archive, i.e. what restoring
+// that tag would have given you
+export function taggedArchives(archiveDir, cwd) {
+  const tagged = new Map()
+
+  let tags
+  try {
+    tags = git(['for-each-ref', '--format=%(refname:short)', 'refs/tags'], cwd).split('\n').filter(Boolean)
+  } catch {
+    return tagged
+  }
+
+  const folder = path.relative(cwd, archiveDir) || '.'
+  for (const tag of tags) {
+    const newest = newestArchive(`${tag}^{commit}`, folder, cwd)
+    if (newest) {
+      tagged.set(newest, [...tagged.get(newest) || [], tag])
+    }
+  }
+
+  return tagged
+}
+
+// when two lines of history both packed since they forked, the newest archive of each and
+// of their merge base (null if there was none yet); null when they didn't both pack, then
+// the newest archive already has everything
+export function divergentArchives(archiveDir, cwd, ours, theirs) {
+  const commit = rev => {
+    try {
+      return git(['rev-parse', '--verify', '-q', `${rev}^{commit}`], cwd).trim()
+    } catch {
+      throw new Error(`not a commit: ${rev}`)
+    }
+  }
+  const [oursCommit, theirsCommit] = [commit(ours), commit(theirs)]
+
+  let baseCommit
+  try {
+    baseCommit = git(['merge-base', oursCommit, theirsCommit], cwd).trim()
+  } catch {
+    // unrelated histories
+    baseCommit = null
+  }
+
+  const folder = path.relative(cwd, archiveDir) || '.'
+  const base = baseCommit ? newestArchive(baseCommit, folder, cwd) : null
+  const sides = { ours: newestArchive(oursCommit, folder, cwd), theirs: newestArchive(theirsCommit, folder, cwd) }
+  if (!sides.ours || !sides.theirs || sides.ours === sides.theirs || sides.ours === base || sides.theirs === base) {
+    return null
+  }
+  return { base, ...sides }
+}
+
+// git approxidate, so `@{yesterday}` and `@{last tuesday}` work like they do in git
+function parseDate(expression, cwd) {
+  const value = /^\d{4}-\d{2}-\d{2}$/.test(expression)
+    ? `${expression} 23:59:59`
+    : expression
+
+  try {
+    const output = git(['rev-parse', `--until=${value}`], cwd).trim()
+    return new Date(parseInt(output.split('=')[1]) * 1000)
+  } catch {
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`invalid date in ref: ${expression}`)
+    }
+    return date
+  }
+}
+
+// split `latest~3` into its base and how many archives further back to go
+export function parseRef(ref) {
+  const match = String(ref).match(/^(.*?)((?:~\d*)*)$/)
+  const base = match[1] || 'latest'
+  const offset = (match[2].match(/~\d*/g) || [])
+    .reduce((sum, step) => sum + (step.length > 1 ? parseInt(step.slice(1)) : 1), 0)
+
+  return { base, offset }
+}
+
+function byHash(archives, prefix) {
+  const needle = prefix.toLowerCase()
+  const matches = archives.filter(a => a.git?.hash.startsWith(needle))
+  const hashes = [...new Set(matches.map(a => a.git.hash))]
+
+  if (hashes.length > 1) {
+    const candidates = hashes.map(h => h.slice(0, Math.max(7, prefix.length + 2))).join(', ')
+    throw new Error(`ambiguous ref ${prefix}: matches commits ${candidates}`)
+  }
+
+  // a commit may add several archives, the list is newest first
+  return matches[0]
+}
+
+function findBase(archives, base, cwd) {
+  if (base === 'latest') {
+    return 0
+  }
+
+  const date = base.match(/^@\{(.+)\}$/)
+  if (date) {
+    const until = parseDate(date[1], cwd)
+    const index = archives.findIndex(a => a.date <= until)
+    if (index === -1) {
+      throw new Error(`no archive found at or before ${until.toISOString()}`)
+    }
+    return index
+  }
+
+  if (/^\d+$/.test(base) && archives[parseInt(base)]) {
+    return parseInt(base)
+  }
+
+  const name = path.basename(base)
+  const named = archives.findIndex(a => a.name === name || a.name.split('.')[0] === name)
+  if (named !== -1) {
+    return named
+  }
+
+  if (/^[0-9a-f]{3,40}$/i.test(base)) {
+    const archive = byHash(archives, base)
+    if (archive) {
+      return archives.indexOf(archive)
+    }
+  }
+
+  if (/^\d+$/.test(base)) {
+    throw new Error(`archive index ${base} not found`)
+  }
+  throw new Error(`archive ${base} not found`)
+}
+
+// resolve a ref against archives sorted newest first
+//
+//   latest, 0, 1         newest, then by position
+//   66b, 66b7d91         commit that added the archive (short hashes must be unambiguous)
+//   @{2024-12-01}        newest archive at or before a date, any git date expression works
+//   latest~3, 66b~1      walk further back from any of the above
+//   <timestamp>.tar.gpg  an archive filename (or .tar.age)
+export function resolveRef(archives, ref = 'latest', cwd = process.cwd()) {
+  if (archives.length === 0) {
+    throw new Error('no archives found')
+  }
+
+  const { base, offset } = parseRef(ref)
+  const index = findBase(archives, base, cwd) + offset
+  if (!archives[index]) {
+    throw new Error(`ref ${ref} is beyond the oldest archive`)
+  }
+
+  return archives[index]
+}
@@ -0,0 +1,74 @@
+// which archives a retention policy keeps, in the spirit of restic's and borg's `forget`
+//
+//   last     the N newest archives
+//   daily    the newest archive of each of the last D days
+//   weekly   the newest archive of each of the last W weeks, weeks start on monday
+//   monthly  the newest archive of each of the last M months, Infinity keeps one a month forever
+//
+// days, weeks and months are in UTC like archive timestamps, and count back from today
+// including it whether or not there is an archive for each one
+
+const DAY = 24 * 60 * 60 * 1000
+
+export const RULES = ['last', 'daily', 'weekly', 'monthly']
+
+function dayOf(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+function weekOf(date) {
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY)
+  return dayOf(monday)
+}
+
+function monthOf(date) {
+  return date.toISOString().slice(0, 7)
+}
+
+function monthsBefore(date, count) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - count, 1))
+}
+
+// a count from the environment or the command line, `all` (or `forever`) is no limit
+export function parseCount(value, name) {
+  const text = String(value).trim()
+  if (/^(all|forever)$/i.test(text)) {
+    return Infinity
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`invalid ${name} ${text}, expected a number or all`)
+  }
+  return parseInt(text)
+}
+
+// archives newest first -> Map of archive name to the rules that keep it, unlisted ones go
+export function applyRetention(archives, policy, now = new Date()) {
+  const buckets = {
+    daily: { key: dayOf, since: policy.daily === Infinity ? '' : dayOf(new Date(now.getTime() - (policy.daily - 1) * DAY)) },
+    weekly: { key: weekOf, since: policy.weekly === Infinity ? '' : weekOf(new Date(now.getTime() - (policy.weekly - 1) * 7 * DAY)) },
+    monthly: { key: monthOf, since: policy.monthly === Infinity ? '' : monthOf(monthsBefore(now, policy.monthly - 1)) }
+  }
+
+  const kept = new Map()
+  const keep = (archive, rule) => {
+    kept.set(archive.name, [...kept.get(archive.name) || [], rule])
+  }
+
+  archives.slice(0, policy.last).forEach(archive => keep(archive, 'last'))
+
+  for (const [rule, { key, since }] of Object.entries(buckets)) {
+    if (policy[rule] === 0) {
+      continue
+    }
+    const seen = new Set()
+    for (const archive of archives) {
+      const bucket = key(archive.date)
+      if (bucket >= since && !seen.has(bucket)) {
+        seen.add(bucket)
+        keep(archive, rule)
+      }
+    }
+  }
+
+  return kept
+}
@@ -0,0 +1,52 @@
+import { spawn } from 'child_process'
+import { pipeline } from 'stream/promises'
+
+export async function collect(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+// run a command without a shell, `input` is piped into stdin and `done` resolves once it exits
+//
+// a failing command usually closes stdin early, so its exit status and stderr are what
+// gets reported rather than the broken pipe on our side. with `status` an extra pipe is
+// opened as fd 3 and `done` resolves to whatever the command wrote there
+export function run(command, args, input = null, { status: withStatus = false } = {}) {
+  const stdio = [input ? 'pipe' : 'ignore', 'pipe', 'pipe', ...withStatus ? ['pipe'] : []]
+  const child = spawn(command, args, { stdio })
+  const stderr = collect(child.stderr)
+  const statusOutput = withStatus ? collect(child.stdio[3]) : Promise.resolve(null)
+  const feeding = input ? pipeline(input, child.stdin) : Promise.resolve()
+  const exit = new Promise((resolve, reject) => {
+    child.on('error', reject)
+    child.on('close', (code, signal) => resolve({ code, signal }))
+  })
+
+  const done = Promise.allSettled([exit, feeding, stderr, statusOutput]).then(([status, fed, errors, written]) => {
+    if (status.status === 'rejected') {
+      throw new Error(`failed to run ${command}: ${status.reason.message}`)
+    }
+    const { code, signal } = status.value
+    if (code !== 0) {
+      const error = new Error(`${command} failed: ${errors.value?.toString('utf8').trim() || signal || `exit code ${code}`}`)
+      error.status = written.value?.toString('utf8') ?? null
+      throw error
+    }
+    if (fed.status === 'rejected') {
+      throw fed.reason
+    }
+    return written.value?.toString('utf8') ?? null
+  })
+
+  return { stdout: child.stdout, done }
+}
+
+// run a command to completion and return its stdout as a string
+export async function output(command, args) {
+  const { stdout, done } = run(command, args)
+  const [data] = await Promise.all([collect(stdout), done])
+  return data.toString('utf8')
+}
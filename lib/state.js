@@ -0,0 +1,39 @@
+import path from 'path'
+import { execFileSync } from 'child_process'
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs'
+
+// per-clone bookkeeping lives inside .git so it is never committed or shared
+export function wardDir(cwd) {
+  let gitDir
+  try {
+    gitDir = execFileSync('git', ['rev-parse', '--git-dir'], { cwd, encoding: 'utf8', stdio: 'pipe' }).trim()
+  } catch {
+    return path.join(cwd, '.ward-local')
+  }
+  return path.join(path.resolve(cwd, gitDir), 'ward')
+}
+
+function statePath(cwd) {
+  return path.join(wardDir(cwd), 'state.json')
+}
+
+function readAll(cwd) {
+  const file = statePath(cwd)
+  if (!existsSync(file)) {
+    return { vaults: {} }
+  }
+  return JSON.parse(readFileSync(file, 'utf8'))
+}
+
+// state for one private folder, keyed by its path relative to the project root
+export function readState(cwd, privateDir) {
+  return readAll(cwd).vaults[path.relative(cwd, privateDir) || '.'] || null
+}
+
+export function writeState(cwd, privateDir, state) {
+  const all = readAll(cwd)
+  all.vaults[path.relative(cwd, privateDir) || '.'] = { ...state, updated_at: new Date().toISOString() }
+
+  mkdirSync(wardDir(cwd), { recursive: true })
+  writeFileSync(statePath(cwd), JSON.stringify(all, null, 2))
+}
@@ -0,0 +1,291 @@
+// minimal tar reader covering what gnu and bsd tar produce: ustar, gnu long names and pax headers
+
+import { Readable } from 'stream'
+
+const BLOCK = 512
+
+const TYPES = {
+  '0': 'file',
+  '\0': 'file',
+  '1': 'link',
+  '2': 'symlink',
+  '5': 'directory'
+}
+
+function readString(buffer, offset, length) {
+  const end = buffer.indexOf(0, offset)
+  return buffer.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end)
+}
+
+function readNumber(buffer, offset, length) {
+  // base-256 encoding, used by gnu tar for values that overflow the octal field
+  if (buffer[offset] & 0x80) {
+    let value = buffer[offset] & 0x7f
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + buffer[offset + i]
+    }
+    return value
+  }
+  const text = readString(buffer, offset, length).trim()
+  return text ? parseInt(text, 8) : 0
+}
+
+function checksum(header) {
+  let sum = 0
+  for (let i = 0; i < BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 32 : header[i]
+  }
+  return sum
+}
+
+// pax records look like "27 path=some/long/name\n"
+function parsePax(data) {
+  const records = {}
+  let offset = 0
+  while (offset < data.length) {
+    const space = data.indexOf(32, offset)
+    if (space === -1) {
+      break
+    }
+    const length = parseInt(data.toString('utf8', offset, space))
+    if (!length) {
+      break
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1)
+    const equals = record.indexOf('=')
+    records[record.slice(0, equals)] = record.slice(equals + 1)
+    offset += length
+  }
+  return records
+}
+
+// strip the `./` prefix tar adds when archiving `-C dir .`
+//
+// names that would land outside the folder an archive is extracted into, absolute or with
+// `..` in them, are refused here once instead of by everything that writes entries
+export function normalizeName(name) {
+  const normalized = name.replace(/^(\.\/)+/, '').replace(/\/+$/, '')
+  if (normalized.startsWith('/') || /^[a-z]:/i.test(normalized) || normalized.split(/[/\\]/).includes('..')) {
+    throw new Error(`refusing archive entry outside the archive's folder: ${name}`)
+  }
+  return normalized
+}
+
+// incremental tar parser, feed it chunks as they arrive (e.g. from gpg stdout) and read
+// `entries` once `end()` has been called
+//
+// chunks are only joined once enough data for the next entry has arrived, so large files
+// don't get copied over and over
+export class TarReader {
+  constructor() {
+    this.entries = []
+    this.chunks = []
+    this.length = 0
+    this.needed = BLOCK
+    this.offset = 0
+    this.ended = false
+    this.closing = false
+    this.longName = null
+    this.pax = {}
+  }
+
+  push(chunk) {
+    if (this.ended) {
+      return
+    }
+    this.chunks.push(chunk)
+    this.length += chunk.length
+    if (this.length >= this.needed) {
+      this.drain()
+    }
+  }
+
+  drain() {
+    let buffer = Buffer.concat(this.chunks)
+    let consumed
+    while ((consumed = this.next(buffer)) > 0) {
+      buffer = buffer.subarray(consumed)
+    }
+    this.chunks = [buffer]
+    this.length = buffer.length
+  }
+
+  // parse one entry from the front of buffer, returns the bytes used or 0 when more are needed
+  next(buffer) {
+    if (this.ended || buffer.length < BLOCK) {
+      this.needed = BLOCK
+      return 0
+    }
+
+    const header = buffer.subarray(0, BLOCK)
+    if (header.every(byte => byte === 0)) {
+      this.ended = true
+      return 0
+    }
+
+    if (readNumber(header, 148, 8) !== checksum(header)) {
+      throw new Error(`invalid tar header at offset ${this.offset}`)
+    }
+
+    const size = readNumber(header, 124, 12)
+    // the padding after the last entry may be missing, but only the end of the data can tell
+    const length = BLOCK + Math.ceil(size / BLOCK) * BLOCK
+    if (buffer.length < (this.closing ? BLOCK + size : length)) {
+      this.needed = length
+      return 0
+    }
+    const used = Math.min(length, buffer.length)
+    this.offset += used
+    this.needed = BLOCK
+    this.read(header, buffer.subarray(BLOCK, BLOCK + size), size)
+    return used
+  }
+
+  read(header, data, size) {
+    const typeflag = String.fromCharCode(header[156])
+    if (typeflag === 'L') {
+      this.longName = readString(data, 0, data.length)
+      return
+    }
+    if (typeflag === 'x') {
+      this.pax = parsePax(data)
+      return
+    }
+    if (typeflag === 'g') {
+      return
+    }
+
+    const { pax, longName } = this
+    let name = readString(header, 0, 100)
+    const magic = readString(header, 257, 6)
+    const prefix = magic.startsWith('ustar') && magic !== 'ustar ' ? readString(header, 345, 155) : ''
+    if (prefix) {
+      name = `${prefix}/${name}`
+    }
+    name = pax.path || longName || name
+
+    const entry = {
+      name: normalizeName(name),
+      type: TYPES[typeflag] || 'other',
+      size: pax.size ? parseInt(pax.size) : size,
+      mode: readNumber(header, 100, 8),
+      mtime: new Date((pax.mtime ? parseFloat(pax.mtime) : readNumber(header, 136, 12)) * 1000),
+      linkname: pax.linkpath || readString(header, 157, 100),
+      data
+    }
+    if (entry.name) {
+      this.entries.push(entry)
+    }
+
+    this.longName = null
+    this.pax = {}
+  }
+
+  // finish parsing, throws when the data stopped in the middle of an entry
+  end() {
+    if (!this.ended && this.length > 0) {
+      this.closing = true
+      this.drain()
+    }
+    if (!this.ended && this.length > 0 && this.needed > BLOCK) {
+      const error = new Error('unexpected end of tar data')
+      error.truncated = true
+      throw error
+    }
+    return this.entries
+  }
+}
+
+// parse a tarball held in memory into entries of { name, type, size, mode, mtime, data }
+export function parseTar(buffer) {
+  const reader = new TarReader()
+  reader.push(buffer)
+  return reader.end()
+}
+
+// same as parseTar for a readable stream of tar data
+export async function readTar(stream) {
+  const reader = new TarReader()
+  for await (const chunk of stream) {
+    reader.push(chunk)
+  }
+  return reader.end()
+}
+
+const TYPEFLAGS = { file: '0', symlink: '2', directory: '5' }
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8')
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, `${Math.floor(value).toString(8).padStart(length - 1, '0')}\0`, offset, length)
+}
+
+function headerBlock({ name, type, size, mode, mtime, linkname = '', typeflag = TYPEFLAGS[type] || '0' }) {
+  const header = Buffer.alloc(BLOCK)
+  writeString(header, name, 0, 100)
+  writeOctal(header, mode, 100, 8)
+  writeOctal(header, 0, 108, 8)
+  writeOctal(header, 0, 116, 8)
+  writeOctal(header, size, 124, 12)
+  writeOctal(header, mtime.getTime() / 1000, 136, 12)
+  header.write(typeflag, 156)
+  writeString(header, linkname, 157, 100)
+  writeString(header, 'ustar\0', 257, 6)
+  writeString(header, '00', 263, 2)
+
+  writeOctal(header, checksum(header), 148, 7)
+  header[155] = 0x20
+  return header
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK - (size % BLOCK)) % BLOCK)
+}
+
+// one pax record, the length prefix counts itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`
+  let length = Buffer.byteLength(body) + 1
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body)
+  }
+  return `${length}${body}`
+}
+
+// tar blocks for a single entry, names are stored `./`-relative like `tar -C dir .`
+export function tarEntry(entry) {
+  const name = `./${entry.name}${entry.type === 'directory' ? '/' : ''}`
+  const data = entry.type === 'file' ? entry.data : Buffer.alloc(0)
+  const blocks = []
+
+  if (Buffer.byteLength(name) > 99 || Buffer.byteLength(entry.linkname || '') > 99) {
+    const records = paxRecord('path', name) + (entry.linkname ? paxRecord('linkpath', entry.linkname) : '')
+    const pax = Buffer.from(records)
+    blocks.push(headerBlock({ name: './PaxHeaders/entry', typeflag: 'x', size: pax.length, mode: 0o644, mtime: entry.mtime }))
+    blocks.push(pax, padding(pax.length))
+  }
+
+  blocks.push(headerBlock({ ...entry, name: name.slice(0, 99), size: data.length, linkname: (entry.linkname || '').slice(0, 99) }))
+  blocks.push(data, padding(data.length))
+  return Buffer.concat(blocks)
+}
+
+export function tarEnd() {
+  return Buffer.alloc(BLOCK * 2)
+}
+
+export function createTar(entries) {
+  return Buffer.concat([...entries.map(tarEntry), tarEnd()])
+}
+
+// the same tarball as a stream, one entry at a time, for piping into gpg
+export function tarStream(entries) {
+  return Readable.from((function* () {
+    for (const entry of entries) {
+      yield tarEntry(entry)
+    }
+    yield tarEnd()
+  })())
+}
@@ -0,0 +1,149 @@
+import path from 'path'
+import {
+  chmodSync,
+  lstatSync,
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  readlinkSync,
+  rmSync,
+  rmdirSync,
+  symlinkSync,
+  utimesSync,
+  writeFileSync
+} from 'fs'
+
+// walk a folder into the same entry shape parseTar returns, skipping ignored paths
+export function readTree(root, ignored = () => false) {
+  const entries = []
+
+  const walk = relative => {
+    const dirents = readdirSync(path.join(root, relative), { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+
+    for (const dirent of dirents) {
+      const name = relative ? `${relative}/${dirent.name}` : dirent.name
+      const full = path.join(root, name)
+      const stat = lstatSync(full)
+      if (ignored(name, stat.isDirectory())) {
+        continue
+      }
+
+      const entry = { name, size: 0, mode: stat.mode & 0o7777, mtime: stat.mtime, linkname: '', data: Buffer.alloc(0) }
+      if (stat.isDirectory()) {
+        entries.push({ ...entry, type: 'directory' })
+        walk(name)
+      } else if (stat.isSymbolicLink()) {
+        entries.push({ ...entry, type: 'symlink', linkname: readlinkSync(full) })
+      } else if (stat.isFile()) {
+        const data = readFileSync(full)
+        entries.push({ ...entry, type: 'file', size: data.length, data })
+      }
+    }
+  }
+
+  walk('')
+  return entries
+}
+
+// every path below root with its type, without reading anything or skipping ignored paths
+export function walkTree(root) {
+  const paths = []
+  const walk = relative => {
+    const dirents = readdirSync(path.join(root, relative), { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+    for (const dirent of dirents) {
+      const name = relative ? `${relative}/${dirent.name}` : dirent.name
+      if (dirent.isDirectory()) {
+        paths.push({ name, type: 'directory' })
+        walk(name)
+      } else if (dirent.isSymbolicLink()) {
+        paths.push({ name, type: 'symlink' })
+      } else if (dirent.isFile()) {
+        paths.push({ name, type: 'file' })
+      }
+    }
+  }
+  walk('')
+  return paths
+}
+
+// the first parent of name below root that is a symlink on disk, null if there is none
+function symlinkParent(root, name) {
+  const parts = name.split('/').slice(0, -1)
+  for (let i = 1; i <= parts.length; i++) {
+    const parent = parts.slice(0, i).join('/')
+    try {
+      if (lstatSync(path.join(root, parent)).isSymbolicLink()) {
+        return parent
+      }
+    } catch {
+      // missing, mkdir creates real directories from here on
+      return null
+    }
+  }
+  return null
+}
+
+// write archive entries below root, directories first so files always have a parent
+//
+// nothing is written through a symlink: comparing paths alone would let an archive bring a
+// symlink `ln -> /elsewhere` and then `ln/file`, which lands outside root. entries below a
+// symlink of the same archive are refused before anything is written, symlinks already on
+// disk as each entry is written
+export function writeEntries(root, entries, skip = new Set()) {
+  const links = new Set(entries.filter(e => e.type === 'symlink').map(e => e.name))
+  for (const entry of entries) {
+    const parts = entry.name.split('/')
+    const link = parts.slice(0, -1).map((_, i) => parts.slice(0, i + 1).join('/')).find(parent => links.has(parent))
+    if (link) {
+      throw new Error(`refusing to write through the symlink ${link}: ${entry.name}`)
+    }
+  }
+
+  for (const entry of entries) {
+    if (skip.has(entry.name)) {
+      continue
+    }
+
+    const target = path.resolve(root, entry.name)
+    if (!target.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`refusing to write outside ${root}: ${entry.name}`)
+    }
+    const link = symlinkParent(root, entry.name)
+    if (link) {
+      throw new Error(`refusing to write through the symlink ${link}: ${entry.name}`)
+    }
+
+    if (entry.type === 'directory') {
+      mkdirSync(target, { recursive: true })
+      continue
+    }
+
+    mkdirSync(path.dirname(target), { recursive: true })
+    rmSync(target, { force: true })
+    if (entry.type === 'symlink') {
+      symlinkSync(entry.linkname, target)
+    } else if (entry.type === 'file') {
+      writeFileSync(target, entry.data, { mode: entry.mode & 0o777 })
+      chmodSync(target, entry.mode & 0o777)
+      utimesSync(target, entry.mtime, entry.mtime)
+    }
+  }
+}
+
+// remove directories left empty below root, deepest first
+export function pruneEmptyDirectories(root, keep = new Set()) {
+  const prune = relative => {
+    const full = path.join(root, relative)
+    for (const dirent of readdirSync(full, { withFileTypes: true })) {
+      if (dirent.isDirectory()) {
+        prune(relative ? `${relative}/${dirent.name}` : dirent.name)
+      }
+    }
+    if (relative && !keep.has(relative) && readdirSync(full).length === 0) {
+      rmdirSync(full)
+    }
+  }
+  prune('')
+}
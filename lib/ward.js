@@ -0,0 +1,1334 @@
+import os from 'os'
+import path from 'path'
+import dotenv from 'dotenv'
+import { execFileSync } from 'child_process'
+import { minimatch } from 'minimatch'
+import { copyFileSync, existsSync, mkdirSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs'
+
+import { VAULTS_FILE, loadConfig, vaultNames } from './config.js'
+import { checkCompression, payloadStream, readHeader, readPayload } from './payload.js'
+import { readState, wardDir, writeState } from './state.js'
+import { pruneEmptyDirectories, readTree, walkTree, writeEntries } from './tree.js'
+import { tarStream } from './tar.js'
+import { createMatcher, parseIgnore } from './ignore.js'
+import { compareEntries, isText, unifiedDiff } from './diff.js'
+import { mergeEntries } from './merge.js'
+import { addedLines, readAllowlist, scanLines, vaultFingerprints } from './leaks.js'
+import { MANIFEST_ENTRY, buildManifest, compareManifests, mergeManifests } from './manifest.js'
+import { detectBackend, getBackend } from './backends.js'
+import { findRecipients, isAgeRecipient, readRecipients, writeRecipients } from './recipients.js'
+import { groupOf, readPolicy, splitEntries } from './policy.js'
+import { archiveCommits, divergentArchives, resolveRef, taggedArchives } from './refs.js'
+import { RULES, applyRetention, parseCount } from './retention.js'
+import { archiveTimestamp, listArchiveFiles, normalizeArchiveName, parseArchiveDate, parseArchiveName } from './archive.js'
+
+// patterns without a slash match the basename at any depth, like the old `find -name` lookups
+function matchesGlob(name, pattern) {
+  const clean = pattern.replace(/^\.?\/+/, '') || '**'
+  return minimatch(name, clean, { dot: true, matchBase: !clean.includes('/') })
+}
+
+// a trusted signer as an uppercase fingerprint, emails and short key ids are refused
+function parseFingerprint(entry) {
+  const id = entry.replace(/\s+/g, '').replace(/^0x/i, '').toUpperCase()
+  if (!/^([0-9A-F]{40}|[0-9A-F]{64})$/.test(id)) {
+    throw new Error(`trusted signers have to be full fingerprints, anyone can make a key with the same email or key id as ${entry}`)
+  }
+  return id
+}
+
+function describeSignature(signature) {
+  if (!signature.signed) {
+    return 'is not signed'
+  }
+  const signer = signature.uid ? `${signature.fingerprint} (${signature.uid})` : signature.fingerprint
+  return signature.error === 'signer is not trusted'
+    ? `is signed by ${signer}, who is not a trusted signer`
+    : `has a signature by ${signer} that doesn't check out: ${signature.error}`
+}
+
+// the manifest older archives carry as their first tar entry, the header holds it now
+function readManifestEntry(entries) {
+  const entry = entries.find(e => e.name === MANIFEST_ENTRY)
+  return entry ? JSON.parse(entry.data.toString('utf8')) : null
+}
+
+function describeInaccessible(inaccessible) {
+  return `can't decrypt ${inaccessible.map(segment => `the ${segment.group} segment`).join(', ')}`
+}
+
+// whether a segment may be used without a trusted signature: `allowUnsigned` is true to accept
+// anything, or the backends whose unsigned segments are accepted
+export function allowsUnsigned(allowUnsigned, backend, signature) {
+  if (allowUnsigned === true) {
+    return true
+  }
+  return Array.isArray(allowUnsigned) && !signature.signed && allowUnsigned.includes(backend)
+}
+
+export class Ward {
+  constructor(options = {}) {
+    this.options = options
+    this.config = loadConfig(options)
+  }
+
+  // one Ward for every vault in ward.config.json, or the one the environment configures
+  static vaults(options = {}) {
+    return vaultNames(options).map(vault => new Ward({ ...options, vault }))
+  }
+
+  // the vault's name in ward.config.json, null without one
+  get vault() {
+    return this.config.vault
+  }
+
+  get privateDir() {
+    return this.config.privateDir
+  }
+
+  get archiveDir() {
+    return this.config.archiveDir
+  }
+
+  // the backend new archives are encrypted with, reading always follows the archive itself
+  get backend() {
+    return getBackend(this.config.backend)
+  }
+
+  ensureDirectories() {
+    mkdirSync(this.privateDir, { recursive: true })
+    mkdirSync(this.archiveDir, { recursive: true })
+  }
+
+  // match(name, isDirectory) for paths in the private folder, see ignore.js
+  ignoreMatcher() {
+    const file = this.config.ignoreFile
+    const rules = existsSync(file) ? parseIgnore(readFileSync(file, 'utf8'), { source: path.relative(this.config.cwd, file) }) : []
+    return createMatcher(this.privateDir, rules, path.basename(file))
+  }
+
+  ignored() {
+    const match = this.ignoreMatcher()
+    return (name, isDirectory) => match(name, isDirectory)?.ignored === true
+  }
+
+  // the private folder as archive entries, with .encignore applied like pack does
+  workingEntries() {
+    if (!existsSync(this.privateDir)) {
+      return []
+    }
+    return readTree(this.privateDir, this.ignored())
+  }
+
+  // what pack would do with each path in the private folder, for pack --dry-run: included
+  // or not, the .encignore rule that decided it and the policy group it would be packed for.
+  // unlike workingEntries it looks inside excluded directories, to list what they hold
+  packPreview() {
+    if (!existsSync(this.privateDir)) {
+      return []
+    }
+    const match = this.ignoreMatcher()
+    const policy = this.policy()
+    return walkTree(this.privateDir).map(({ name, type }) => {
+      const decision = match(name, type === 'directory')
+      return {
+        name,
+        type,
+        included: !decision?.ignored,
+        rule: decision && { source: decision.rule.source, line: decision.rule.line, pattern: decision.rule.text },
+        directory: decision?.directory || null,
+        group: groupOf(policy, name)
+      }
+    })
+  }
+
+  // staged changes checked for secrets before they are committed, see leaks.js. the private
+  // and archive folders are left out, the pre-commit hook keeps the first out of commits
+  scanStaged() {
+    const { cwd } = this.config
+    const folder = dir => path.relative(cwd, dir).split(path.sep).join('/')
+    const privateFolder = folder(this.privateDir)
+    const others = this.config.vaults.filter(v => v.name !== this.vault).flatMap(v => [v.privateDir, v.archiveDir])
+    const excluded = [this.privateDir, this.archiveDir, ...others].map(dir => `:(exclude)${folder(dir)}`)
+    const diffCached = args => execFileSync('git', ['diff', '--cached', '--no-color', '--no-ext-diff', '--diff-filter=ACMR', ...args, '--', '.', ...excluded], {
+      cwd,
+      encoding: 'utf8',
+      stdio: 'pipe',
+      maxBuffer: 256 * 1024 * 1024
+    })
+    const files = diffCached(['--name-only', '-z']).split('\0').filter(Boolean)
+    const diff = diffCached(['-U0'])
+    const vault = vaultFingerprints(this.workingEntries(), privateFolder)
+    return scanLines(addedLines(diff, files), vault, readAllowlist(this.config.allowlistFile))
+  }
+
+  // archives newest first, with the commit that added each one (null if uncommitted)
+  list() {
+    const commits = archiveCommits(this.archiveDir, this.config.cwd)
+    return listArchiveFiles(this.archiveDir).map(archive => {
+      const segments = archive.segments.map(segment => {
+        const file = path.join(this.archiveDir, segment.name)
+        return { ...segment, file, size: statSync(file).size }
+      })
+      return {
+        ...archive,
+        file: path.join(this.archiveDir, archive.name),
+        size: segments.reduce((sum, segment) => sum + segment.size, 0),
+        segments,
+        git: commits.get(archive.name) || null
+      }
+    })
+  }
+
+  policy() {
+    return readPolicy(this.config.policyFile)
+  }
+
+  // config to encrypt a segment with, the members of its policy group instead of everyone
+  segmentConfig(group) {
+    if (!group) {
+      return this.config
+    }
+
+    const members = this.policy().groups[group]
+    if (!members) {
+      throw new Error(`policy group ${group} is not defined in ${path.relative(this.config.cwd, this.config.policyFile)}`)
+    }
+
+    // members have to be recipients, so removing someone from .ward/recipients removes them everywhere
+    const comments = new Map(readRecipients(this.config.recipientsFile).map(r => [r.id, r.comment]))
+    const pool = [...this.config.recipients, ...this.config.ageRecipients].map(id => ({ id, comment: comments.get(id) || null }))
+    const ids = members.flatMap(member => {
+      const matches = findRecipients(pool, member)
+      if (matches.length > 1) {
+        throw new Error(`policy group ${group}: ${member} matches several recipients`)
+      }
+      return matches.map(r => r.id)
+    })
+
+    const { backend } = this
+    if (!ids.some(id => backend.accepts(id))) {
+      throw new Error(`policy group ${group} has no ${backend.name} recipients`)
+    }
+    return {
+      ...this.config,
+      recipients: ids.filter(id => !isAgeRecipient(id)),
+      ageRecipients: ids.filter(isAgeRecipient)
+    }
+  }
+
+  // stage files (or their removal) in the enclosing repository
+  stage(files) {
+    const relative = files.map(file => path.relative(this.config.cwd, file))
+    execFileSync('git', ['add', '-A', '--', ...relative], { cwd: this.config.cwd, stdio: 'pipe' })
+  }
+
+  // see refs.js for the accepted forms: latest, 1, 66b, @{2024-12-01}, latest~3
+  resolve(ref = 'latest') {
+    return resolveRef(this.list(), ref, this.config.cwd)
+  }
+
+  // tar + encrypt the private folder and stage the result, returns null when nothing changed
+  //
+  // the tarball is streamed straight into the backend, plaintext never lands on disk. with a
+  // policy each group gets its own segment; segments of the latest archive we can't decrypt
+  // are carried over untouched, whatever we have locally for those groups is not packed.
+  // with force, or when the latest archive can't be read at all, nothing is carried over and
+  // every group is packed from the local files, the latter with a `warning` on the result.
+  // incremental packing is described at deltaBase
+  async pack({ stage = true, force = false, full = false, message = null } = {}) {
+    const { backend } = this
+    const fullEvery = parseCount(this.config.fullEvery, 'WARD_FULL_EVERY')
+    const compression = checkCompression(this.config.compression)
+    this.ensureDirectories()
+
+    const groups = splitEntries(this.workingEntries(), this.policy())
+    const latest = this.list()[0]
+    let previous = null
+    let warning = null
+    if (latest) {
+      try {
+        previous = await this.readArchive(latest.name)
+      } catch (error) {
+        // a corrupt latest archive shouldn't keep everyone from packing
+        warning = `could not read ${latest.name} (${error.message}), packed without carrying anything over from it`
+      }
+    }
+    const carried = previous && !force ? previous.segments.filter(segment => segment.error) : []
+    carried.forEach(segment => groups.delete(segment.group))
+
+    const manifests = new Map([...groups].map(([group, entries]) => [group, buildManifest(entries)]))
+    const manifest = mergeManifests([...manifests.values()])
+
+    if (!force && previous) {
+      const before = new Map(previous.segments.filter(s => !s.error).map(s => [s.group, s.manifest]))
+      const changed = [...new Set([...before.keys(), ...manifests.keys()])]
+        .some(group => compareManifests(before.get(group), manifests.get(group)).changed)
+      if (!changed) {
+        writeState(this.config.cwd, this.privateDir, { archive: latest.name, manifest })
+        return null
+      }
+    }
+
+    const createdAt = new Date()
+    const timestamp = archiveTimestamp(createdAt)
+    const packer = this.packer()
+    const segments = []
+    try {
+      for (const [group, entries] of groups) {
+        const base = full ? null : this.deltaBase(previous, group, fullEvery)
+        const { added, modified } = compareManifests(base?.manifest, manifests.get(group))
+        const changed = new Set([...added, ...modified])
+        const packed = base ? entries.filter(entry => entry.type === 'directory' || changed.has(entry.name)) : entries
+        const segmentManifest = base
+          ? { ...manifests.get(group), delta: { base: parseArchiveName(latest.name).stem, depth: base.depth } }
+          : manifests.get(group)
+
+        const name = `${timestamp}${group ? `.${group}` : ''}${base ? '.delta' : ''}${backend.extension}`
+        const file = path.join(this.archiveDir, name)
+        const source = payloadStream(packed, {
+          created_at: createdAt.toISOString(),
+          packer,
+          message,
+          backend: backend.name,
+          compression,
+          group,
+          files: Object.keys(segmentManifest.files).length,
+          manifest: segmentManifest
+        })
+        segments.push({ group, name, file, delta: Boolean(base) })
+        await backend.encryptStream(source, file, this.segmentConfig(group))
+      }
+      for (const segment of carried) {
+        const name = `${timestamp}${segment.name.slice(parseArchiveName(segment.name).stem.length)}`
+        const file = path.join(this.archiveDir, name)
+        segments.push({ group: segment.group, name, file, carried: true })
+        copyFileSync(segment.file, file)
+      }
+    } catch (error) {
+      segments.forEach(segment => rmSync(segment.file, { force: true }))
+      throw error
+    }
+
+    if (stage) {
+      this.stage(segments.map(segment => segment.file))
+    }
+
+    const archive = { name: segments[0].name, file: segments[0].file, manifest, segments, warning }
+    writeState(this.config.cwd, this.privateDir, { archive: archive.name, manifest })
+    return archive
+  }
+
+  // who is packing, recorded in the archive header; the signature is what proves it
+  packer() {
+    const gitConfig = key => {
+      try {
+        return execFileSync('git', ['config', key], { cwd: this.config.cwd, encoding: 'utf8', stdio: 'pipe' }).trim() || null
+      } catch {
+        return null
+      }
+    }
+    return { name: gitConfig('user.name'), email: gitConfig('user.email'), user: os.userInfo().username, host: os.hostname() }
+  }
+
+  // the segment of the latest archive a new one can store only its changes against, null
+  // for a full snapshot
+  //
+  // incremental packing is off unless WARD_INCREMENTAL is set. every WARD_FULL_EVERY archives
+  // a full snapshot starts a new chain, so restoring never needs more than that many
+  // archives, and a chain is only built on segments we decrypted and whose signer we trust
+  deltaBase(previous, group, fullEvery) {
+    const segment = this.config.incremental && previous?.segments.find(s => s.group === group && !s.error)
+    if (!segment || !segment.signature.trusted || !segment.storedManifest) {
+      return null
+    }
+    const depth = (segment.manifest.delta?.depth || 0) + 1
+    return depth < fullEvery ? { manifest: segment.manifest, depth } : null
+  }
+
+  // decrypt an archive and encrypt it again in place for the current recipients, streamed
+  // from one process into the other so the plaintext never leaves memory
+  //
+  // only the segments we can decrypt are touched, each one for its policy group
+  async reencrypt(ref = 'latest', { stage = true, allowUnsigned = this.config.allowUnsigned } = {}) {
+    const archive = this.resolve(ref)
+    const reencrypted = []
+    // a broken policy fails before any segment is touched
+    const configs = archive.segments.map(segment => this.segmentConfig(segment.group))
+
+    // the new files are signed by us, so whatever we re-encrypt has to be trusted already
+    try {
+      for (const [index, segment] of archive.segments.entries()) {
+        const backend = detectBackend(segment.file)
+        const temp = `${segment.file}.tmp`
+        const { stdout, done } = backend.decryptStream(segment.file, this.config)
+        const [encrypted, decrypted] = await Promise.allSettled([backend.encryptStream(stdout, temp, configs[index]), done])
+        if (decrypted.status === 'rejected' && segment.group) {
+          rmSync(temp, { force: true })
+          continue
+        }
+        reencrypted.push({ ...segment, temp })
+        const failed = [encrypted, decrypted].find(result => result.status === 'rejected')
+        if (failed) {
+          throw failed.reason
+        }
+        const signature = await this.trust(decrypted.value)
+        if (!signature.trusted && !allowsUnsigned(allowUnsigned, backend.name, signature)) {
+          throw new Error(`refusing to re-encrypt ${segment.name}, it ${describeSignature(signature)}`)
+        }
+      }
+    } catch (error) {
+      reencrypted.forEach(segment => rmSync(segment.temp, { force: true }))
+      throw error
+    }
+
+    reencrypted.forEach(segment => renameSync(segment.temp, segment.file))
+    if (stage) {
+      this.stage(reencrypted.map(segment => segment.file))
+    }
+    return { ...archive, reencrypted: reencrypted.map(({ temp, ...segment }) => segment) }
+  }
+
+  // archives the retention policy doesn't keep, deleted and their removal staged for review
+  //
+  // the newest archive and the one each tag pointed at are always kept. `retention` overrides
+  // the configured counts per rule, see retention.js
+  clean({ dryRun = false, retention = {}, now = new Date() } = {}) {
+    const policy = Object.fromEntries(RULES.map(rule => [
+      rule,
+      parseCount(retention[rule] ?? this.config.retention[rule], `--keep-${rule}`)
+    ]))
+    const archives = this.list()
+    const kept = applyRetention(archives, policy, now)
+    const tags = taggedArchives(this.archiveDir, this.config.cwd)
+
+    const reasons = archives.map((archive, index) => {
+      const rules = [...kept.get(archive.name) || []]
+      if (index === 0 && !rules.includes('last')) {
+        rules.unshift('latest')
+      }
+      const tagged = tags.get(parseArchiveName(archive.name).stem) || []
+      return [...rules, ...tagged.map(tag => `tag ${tag}`)]
+    })
+
+    // a kept delta needs every older archive back to the full snapshot its chain starts at,
+    // newest first so the archives kept that way pass it on to their own bases
+    archives.forEach((archive, index) => {
+      if (reasons[index].length === 0) {
+        return
+      }
+      for (const segment of archive.segments.filter(s => s.delta)) {
+        for (const [offset, older] of archives.slice(index + 1).entries()) {
+          const olderReasons = reasons[index + 1 + offset]
+          if (olderReasons.length === 0) {
+            olderReasons.push(`base of ${archive.name}`)
+          }
+          const base = older.segments.find(s => s.group === segment.group)
+          if (base && !base.delta) {
+            break
+          }
+        }
+      }
+    })
+
+    const plan = archives.map((archive, index) => ({ archive, keep: reasons[index].length > 0, reasons: reasons[index] }))
+    const removed = plan.filter(entry => !entry.keep).map(entry => entry.archive)
+
+    if (!dryRun && removed.length > 0) {
+      const files = removed.flatMap(archive => archive.segments.map(segment => segment.file))
+      const relative = files.map(file => path.relative(this.config.cwd, file))
+      execFileSync('git', ['rm', '-q', '--cached', '--ignore-unmatch', '--', ...relative], { cwd: this.config.cwd, stdio: 'pipe' })
+      files.forEach(file => rmSync(file, { force: true }))
+    }
+
+    return {
+      policy,
+      kept: plan.filter(entry => entry.keep).map(({ archive, reasons }) => ({ archive, reasons })),
+      removed
+    }
+  }
+
+  // archives left behind by older versions of ward, moved into the archive folder under the
+  // names this version gives them and staged as one change: unix timestamp names, archives
+  // kept in .ward/, and ones still in .archives/ after WARD_ARCHIVE_FOLDER changed
+  //
+  // with `reencrypt` every archive that moves, and every one without a metadata header, is
+  // packed again for the current recipients with a full header (see payload.js). that signs
+  // it as ours, so unsigned archives need `allowUnsigned`; segments we can't decrypt move as
+  // they are
+  async migrate({ dryRun = false, stage = true, reencrypt = true, allowUnsigned = this.config.allowUnsigned } = {}) {
+    const { cwd } = this.config
+    const sources = [...new Set([this.archiveDir, path.resolve(cwd, '.ward'), path.resolve(cwd, '.archives')])]
+    const targets = new Set(this.list().flatMap(archive => archive.segments.map(segment => segment.file)))
+    const renamed = new Map()
+    const moves = []
+    const skipped = []
+
+    for (const dir of sources) {
+      for (const archive of listArchiveFiles(dir)) {
+        const planned = archive.segments.map(segment => {
+          const name = normalizeArchiveName(segment.name)
+          return { group: segment.group, from: path.join(dir, segment.name), to: name && path.join(this.archiveDir, name) }
+        })
+        const first = planned[0]
+        if (!first.to) {
+          skipped.push({ file: first.from, reason: 'its name has no timestamp' })
+          continue
+        }
+
+        // the same archive in two places is fine, a different one under the same name isn't
+        const clash = planned.find(({ from, to }) => from !== to && targets.has(to) &&
+          !(existsSync(to) && readFileSync(to).equals(readFileSync(from))))
+        if (clash) {
+          skipped.push({ file: clash.from, reason: `${path.relative(cwd, clash.to)} already exists` })
+          continue
+        }
+
+        for (const segment of planned) {
+          segment.duplicate = segment.from !== segment.to && existsSync(segment.to)
+          if (segment.from === segment.to && !(reencrypt && !(await this.peekHeader(segment.from))?.created_at)) {
+            continue
+          }
+          targets.add(segment.to)
+          moves.push(segment)
+        }
+        renamed.set(parseArchiveName(path.basename(first.from)).stem, parseArchiveName(path.basename(first.to)).stem)
+      }
+    }
+
+    if (dryRun || moves.length === 0) {
+      return { moves, skipped }
+    }
+
+    this.ensureDirectories()
+    const rewritten = []
+    try {
+      for (const move of moves.filter(move => reencrypt && !move.duplicate)) {
+        let read
+        try {
+          read = await this.readSegment(move.from)
+        } catch (error) {
+          move.error = error.message
+          continue
+        }
+        if (!read.signature.trusted && !allowsUnsigned(allowUnsigned, read.backend, read.signature)) {
+          throw new Error(`refusing to re-encrypt ${path.relative(cwd, move.from)}, it ${describeSignature(read.signature)}`)
+        }
+
+        // deltas name their base by stem, which may just have changed
+        const { delta } = read.manifest
+        const manifest = delta ? { ...read.manifest, delta: { ...delta, base: renamed.get(delta.base) || delta.base } } : read.manifest
+        const backend = detectBackend(move.from)
+        const source = payloadStream(read.entries, {
+          created_at: read.header.created_at || parseArchiveDate(path.basename(move.to)).toISOString(),
+          packer: read.header.packer || null,
+          message: read.header.message || null,
+          backend: backend.name,
+          compression: read.header.compression || 'none',
+          group: move.group,
+          files: Object.keys(manifest.files).length,
+          manifest
+        })
+        move.temp = `${move.to}.tmp`
+        rewritten.push(move)
+        await backend.encryptStream(source, move.temp, this.segmentConfig(move.group))
+      }
+    } catch (error) {
+      rewritten.forEach(move => rmSync(move.temp, { force: true }))
+      throw error
+    }
+
+    // archives that stay where they are and couldn't be rewritten have nothing to migrate
+    const applied = moves.filter(move => move.from !== move.to || move.temp)
+    for (const move of applied) {
+      if (move.temp) {
+        renameSync(move.temp, move.to)
+      } else if (!move.duplicate) {
+        renameSync(move.from, move.to)
+      }
+      if (move.from !== move.to) {
+        rmSync(move.from, { force: true })
+      }
+    }
+
+    if (stage) {
+      const removed = applied.filter(move => move.from !== move.to).map(move => path.relative(cwd, move.from))
+      if (removed.length > 0) {
+        execFileSync('git', ['rm', '-q', '--cached', '--ignore-unmatch', '--', ...removed], { cwd, stdio: 'pipe' })
+      }
+      this.stage(applied.map(move => move.to))
+    }
+    return {
+      moves: applied.map(({ temp, ...move }) => ({ ...move, reencrypted: Boolean(temp) })),
+      skipped
+    }
+  }
+
+  // who new archives are encrypted for, with the key each recipient resolves to
+  async recipients() {
+    const { backend } = this
+    const listed = readRecipients(this.config.recipientsFile).filter(r => backend.accepts(r.id))
+    const comments = new Map(listed.map(r => [r.id, r.comment]))
+    const recipients = await backend.listRecipients(this.config)
+    const source = !this.config.recipientsFile
+      ? VAULTS_FILE
+      : listed.length > 0 ? path.relative(this.config.cwd, this.config.recipientsFile) : 'environment'
+
+    return {
+      backend: backend.name,
+      source,
+      recipients: recipients.map(r => ({ ...r, comment: comments.get(r.recipient) ?? null }))
+    }
+  }
+
+  // the file add and remove edit, a vault listing its recipients in ward.config.json has none
+  editableRecipients() {
+    if (!this.config.recipientsFile) {
+      throw new Error(`recipients of vault ${this.vault} are listed in ${VAULTS_FILE}, edit them there or give the vault a recipients file`)
+    }
+    return this.config.recipientsFile
+  }
+
+  // encrypt an empty payload for recipients, so a key that can't encrypt (one without an
+  // encryption subkey, say) fails before anything is written
+  async checkRecipients(recipients) {
+    const ids = recipients.map(r => r.id)
+    const config = { ...this.config, recipients: ids.filter(id => !isAgeRecipient(id)), ageRecipients: ids.filter(isAgeRecipient) }
+    const dir = wardDir(this.config.cwd)
+    const temp = path.join(dir, 'recipients-check.tmp')
+    mkdirSync(dir, { recursive: true })
+    try {
+      await this.backend.encryptStream(payloadStream([], { compression: 'none' }), temp, config)
+    } catch (error) {
+      throw new Error(`can't encrypt for the new recipients: ${error.message}`)
+    } finally {
+      rmSync(temp, { force: true })
+    }
+  }
+
+  // save the recipients file and committed keys, then bring the latest archive up to date
+  // when it was made with the backend whose recipients changed. nothing is staged until
+  // that worked, when it fails the files are put back the way they were
+  async saveRecipients(recipients, { write = [], remove = [] }, reencrypt) {
+    const files = [this.config.recipientsFile, ...write.map(({ file }) => file), ...remove]
+    const previous = files.map(file => [file, existsSync(file) ? readFileSync(file) : null])
+    const created = [mkdirSync(path.dirname(this.config.recipientsFile), { recursive: true })]
+    try {
+      writeRecipients(this.config.recipientsFile, recipients)
+      for (const { file, key } of write) {
+        created.push(mkdirSync(path.dirname(file), { recursive: true }))
+        writeFileSync(file, key)
+      }
+      remove.forEach(file => rmSync(file, { force: true }))
+      this.config = loadConfig(this.options)
+
+      const latest = reencrypt ? this.list()[0] : null
+      const reencrypted = latest && detectBackend(latest.segments[0].file) === this.backend ? await this.reencrypt(latest.name) : null
+      this.stage(files)
+      return reencrypted
+    } catch (error) {
+      for (const [file, content] of previous) {
+        if (content === null) {
+          rmSync(file, { force: true })
+        } else {
+          writeFileSync(file, content)
+        }
+      }
+      created.filter(Boolean).forEach(dir => rmSync(dir, { recursive: true, force: true }))
+      this.config = loadConfig(this.options)
+      throw error
+    }
+  }
+
+  // add recipients from key files or keys already in the keyring to .ward/recipients
+  //
+  // the first time, whoever the environment already encrypts for is carried over so nobody
+  // loses access by accident
+  async addRecipients(inputs, { reencrypt = true } = {}) {
+    const { backend } = this
+    const listed = readRecipients(this.editableRecipients())
+    const sources = listed.some(r => backend.accepts(r.id))
+      ? inputs
+      : [...(await backend.listRecipients(this.config)).map(r => r.recipient), ...inputs]
+
+    const added = []
+    const keys = []
+    for (const input of sources) {
+      for (const { id, comment, key } of await backend.importRecipients(input)) {
+        if (key) {
+          keys.push({ file: path.join(this.config.keysDir, `${id}.asc`), key })
+        }
+        if (!listed.some(r => r.id === id)) {
+          listed.push({ id, comment })
+          added.push({ id, comment })
+        }
+      }
+    }
+
+    if (added.length > 0) {
+      await this.checkRecipients(listed.filter(r => backend.accepts(r.id)))
+    }
+    const reencrypted = await this.saveRecipients(listed, { write: keys }, reencrypt && added.length > 0)
+    return { added, recipients: listed, reencrypted }
+  }
+
+  // remove recipients by fingerprint, key id or name, and re-encrypt the latest archive
+  // without them so they can't read it going forward
+  async removeRecipients(queries, { reencrypt = true } = {}) {
+    const { backend } = this
+    const listed = readRecipients(this.editableRecipients())
+    if (!listed.some(r => backend.accepts(r.id))) {
+      throw new Error(`${path.relative(this.config.cwd, this.config.recipientsFile)} has no ${backend.name} recipients, they come from the environment`)
+    }
+
+    const removed = queries.map(query => {
+      const matches = findRecipients(listed.filter(r => backend.accepts(r.id)), query)
+      if (matches.length === 0) {
+        throw new Error(`no recipient matches ${query}`)
+      }
+      if (matches.length > 1) {
+        throw new Error(`${query} matches several recipients: ${matches.map(r => r.comment || r.id).join(', ')}`)
+      }
+      return matches[0]
+    })
+
+    const remaining = listed.filter(r => !removed.includes(r))
+    if (!remaining.some(r => backend.accepts(r.id))) {
+      throw new Error('refusing to remove every recipient, nobody could decrypt new archives')
+    }
+    const left = remaining.filter(r => backend.accepts(r.id))
+    for (const [group, members] of Object.entries(this.policy().groups)) {
+      if (!members.some(member => findRecipients(left, member).length > 0)) {
+        throw new Error(`refusing to remove every member of policy group ${group}, nobody could decrypt its files`)
+      }
+    }
+
+    const keys = removed
+      .map(r => path.join(this.config.keysDir, `${r.id}.asc`))
+      .filter(file => existsSync(file))
+
+    const reencrypted = await this.saveRecipients(remaining, { remove: keys }, reencrypt)
+    return { removed, recipients: remaining, reencrypted }
+  }
+
+  // local files that restoring ref would overwrite or delete, judged against the manifest
+  // recorded by the last restore or pack of this clone
+  //
+  // local files of policy groups we can't decrypt are left out, the archive says nothing about them
+  async planRestore(ref = 'latest', { allowUnsigned = this.config.allowUnsigned } = {}) {
+    const read = await this.readArchive(ref)
+    this.checkSignatures(read, allowUnsigned)
+    const { archive, entries, manifest, inaccessible } = read
+    const working = this.accessibleEntries(inaccessible)
+    const conflicts = this.localConflicts(working, entries)
+
+    return { archive, entries, manifest, working, conflicts, inaccessible }
+  }
+
+  // files changed locally since the last pack or restore that writing entries would lose
+  localConflicts(working, entries) {
+    const baseline = readState(this.config.cwd, this.privateDir)?.manifest || null
+    const local = compareManifests(baseline, buildManifest(working))
+
+    const incoming = new Map(entries.filter(e => e.type === 'file').map(e => [e.name, e]))
+    const current = new Map(working.filter(e => e.type === 'file').map(e => [e.name, e]))
+    return [...local.added, ...local.modified]
+      .filter(name => !incoming.has(name) || !incoming.get(name).data.equals(current.get(name).data))
+      .sort()
+      .map(name => ({ name, in_archive: incoming.has(name) }))
+  }
+
+  // entries without the files of groups whose segments we couldn't read
+  withoutGroups(entries, inaccessible = []) {
+    if (inaccessible.length === 0) {
+      return entries
+    }
+    const policy = this.policy()
+    const hidden = new Set(inaccessible.map(segment => segment.group))
+    return entries.filter(entry => !hidden.has(groupOf(policy, entry.name)))
+  }
+
+  accessibleEntries(inaccessible = []) {
+    return this.withoutGroups(this.workingEntries(), inaccessible)
+  }
+
+  // encrypt local files into .git/ward/recovery before they get overwritten
+  async backup(names) {
+    const wanted = new Set(names)
+    const entries = this.workingEntries().filter(e => e.type === 'file' && wanted.has(e.name))
+    const recoveryDir = path.join(wardDir(this.config.cwd), 'recovery')
+    const file = path.join(recoveryDir, `${archiveTimestamp()}${this.backend.extension}`)
+
+    mkdirSync(recoveryDir, { recursive: true })
+    // a bare tarball, so the hint `gpg -d <file> | tar -t` works without ward
+    await this.backend.encryptStream(tarStream(entries), file, this.config)
+    return file
+  }
+
+  // create, update or unchanged for each archive file against what is in dest right now
+  changesFor(files, dest) {
+    return files.map(entry => {
+      const target = path.join(dest, entry.name)
+      const current = existsSync(target) && statSync(target).isFile() ? readFileSync(target) : null
+      const action = !current ? 'create' : current.equals(entry.data) ? 'unchanged' : 'update'
+      return { name: entry.name, action }
+    })
+  }
+
+  // bring the private folder in line with an archive
+  //
+  // refuses when local changes would be lost unless `force` is set, in which case they are
+  // backed up first; `keepLocal` keeps every conflicting file, `keep` keeps the listed ones
+  async restore(ref = 'latest', { force = false, keepLocal = false, keep = [], dryRun = false, allowUnsigned } = {}) {
+    this.ensureDirectories()
+
+    const plan = await this.planRestore(ref, { allowUnsigned })
+    const kept = new Set(keepLocal ? plan.conflicts.map(c => c.name) : keep)
+    const overwritten = plan.conflicts.filter(c => !kept.has(c.name))
+
+    if (dryRun) {
+      const incoming = new Set(plan.entries.map(e => e.name))
+      const files = plan.entries.filter(e => e.type === 'file')
+      const deleted = plan.working
+        .filter(e => e.type !== 'directory' && !incoming.has(e.name))
+        .map(e => ({ name: e.name, action: 'delete' }))
+      const changes = [...this.changesFor(files, this.privateDir), ...deleted]
+        .map(change => kept.has(change.name) ? { ...change, action: 'keep' } : change)
+        .sort((a, b) => a.name.localeCompare(b.name))
+      return { archive: plan.archive, conflicts: plan.conflicts, kept: [...kept], recovery: null, changes, inaccessible: plan.inaccessible }
+    }
+
+    if (overwritten.length > 0 && !force) {
+      const error = new Error(`restoring would overwrite local changes: ${overwritten.map(c => c.name).join(', ')}`)
+      error.conflicts = overwritten
+      throw error
+    }
+    const recovery = overwritten.length > 0 ? await this.backup(overwritten.map(c => c.name)) : null
+
+    // remove what the archive doesn't have, ignored files are never touched
+    const incoming = new Set(plan.entries.map(e => e.name))
+    for (const entry of plan.working) {
+      if (entry.type !== 'directory' && !incoming.has(entry.name) && !kept.has(entry.name)) {
+        rmSync(path.join(this.privateDir, entry.name), { force: true })
+      }
+    }
+
+    writeEntries(this.privateDir, plan.entries, kept)
+    pruneEmptyDirectories(this.privateDir, new Set(plan.entries.filter(e => e.type === 'directory').map(e => e.name)))
+
+    writeState(this.config.cwd, this.privateDir, { archive: plan.archive.name, manifest: plan.manifest })
+    return { archive: plan.archive, conflicts: plan.conflicts, kept: [...kept], recovery, inaccessible: plan.inaccessible }
+  }
+
+  // bring together the vault changes of two lines of history that both packed since they
+  // forked, file by file as merge.js describes
+  //
+  // `ours` and `theirs` are commits, by default the parents of HEAD when it is a merge. the
+  // result goes into the private folder with restore's protection of local changes and is
+  // packed when nothing conflicts. null when there is nothing to merge
+  async merge({ ours = null, theirs = null, force = false, dryRun = false, pack = true, allowUnsigned = this.config.allowUnsigned } = {}) {
+    const { cwd } = this.config
+    if (!ours && !theirs) {
+      try {
+        execFileSync('git', ['rev-parse', '--verify', '-q', 'HEAD^2'], { cwd, stdio: 'pipe' })
+      } catch {
+        return null
+      }
+      ours = 'HEAD^1'
+      theirs = 'HEAD^2'
+    }
+    const divergent = divergentArchives(this.archiveDir, cwd, ours, theirs)
+    if (!divergent) {
+      return null
+    }
+
+    // read from the archive folder, where a merge leaves both sides' archives next to each other
+    const archives = this.list()
+    const read = async stem => {
+      if (!archives.some(archive => parseArchiveName(archive.name).stem === stem)) {
+        throw new Error(`archive ${stem} is no longer in ${path.relative(cwd, this.archiveDir)}, merge by hand`)
+      }
+      const result = await this.readArchive(stem)
+      this.checkSignatures(result, allowUnsigned)
+      return result
+    }
+    const mine = await read(divergent.ours)
+    const other = await read(divergent.theirs)
+    const base = divergent.base ? await read(divergent.base) : null
+
+    const labels = { ours: `ours (${mine.archive.name})`, theirs: `theirs (${other.archive.name})` }
+    const result = mergeEntries(base ? base.entries : [], mine.entries, other.entries, labels)
+    const inaccessible = [...mine.inaccessible, ...other.inaccessible]
+    const working = this.accessibleEntries(inaccessible)
+    const overwritten = this.localConflicts(working, result.entries)
+
+    const summary = {
+      base: base ? base.archive : null,
+      ours: mine.archive,
+      theirs: other.archive,
+      merged: result.merged,
+      conflicts: result.conflicts,
+      inaccessible
+    }
+    if (dryRun) {
+      return { ...summary, overwritten, recovery: null, packed: null }
+    }
+
+    if (overwritten.length > 0 && !force) {
+      const error = new Error(`merging would overwrite local changes: ${overwritten.map(c => c.name).join(', ')}`)
+      error.conflicts = overwritten
+      throw error
+    }
+    const recovery = overwritten.length > 0 ? await this.backup(overwritten.map(c => c.name)) : null
+
+    const incoming = new Set(result.entries.map(e => e.name))
+    for (const entry of working) {
+      if (entry.type !== 'directory' && !incoming.has(entry.name)) {
+        rmSync(path.join(this.privateDir, entry.name), { force: true })
+      }
+    }
+    writeEntries(this.privateDir, result.entries)
+    pruneEmptyDirectories(this.privateDir, new Set(result.entries.filter(e => e.type === 'directory').map(e => e.name)))
+
+    // conflicts stay local, so resolving them counts as a local change restore won't overwrite
+    writeState(cwd, this.privateDir, { archive: archives[0].name, manifest: buildManifest(result.entries) })
+    const packed = pack && result.conflicts.length === 0
+      ? await this.pack({ message: `merge ${other.archive.name} into ${mine.archive.name}` })
+      : null
+    return { ...summary, overwritten, recovery, packed }
+  }
+
+  // extract only the files matching any of the patterns, everything else stays as it is
+  //
+  // into the private folder the same local change protection as restore applies, with `to`
+  // the files go to another folder and existing files there are simply overwritten
+  async restorePaths(ref, patterns, { to = null, force = false, dryRun = false, allowUnsigned } = {}) {
+    const dest = to ? path.resolve(this.config.cwd, to) : this.privateDir
+    const plan = to ? { ...await this.readArchive(ref), conflicts: [] } : await this.planRestore(ref, { allowUnsigned })
+    if (to) {
+      this.checkSignatures(plan, allowUnsigned)
+    }
+    const files = plan.entries.filter(e => e.type === 'file' && patterns.some(p => matchesGlob(e.name, p)))
+    if (files.length === 0) {
+      const hint = plan.inaccessible.length > 0 ? ` (${describeInaccessible(plan.inaccessible)})` : ''
+      throw new Error(`no files in ${plan.archive.name} match ${patterns.join(' ')}${hint}`)
+    }
+
+    const names = new Set(files.map(e => e.name))
+    const conflicts = plan.conflicts.filter(c => names.has(c.name))
+    const changes = this.changesFor(files, dest)
+    if (dryRun) {
+      return { archive: plan.archive, dest, conflicts, changes, recovery: null }
+    }
+
+    if (conflicts.length > 0 && !force) {
+      const error = new Error(`restoring would overwrite local changes: ${conflicts.map(c => c.name).join(', ')}`)
+      error.conflicts = conflicts
+      throw error
+    }
+    const recovery = conflicts.length > 0 ? await this.backup(conflicts.map(c => c.name)) : null
+
+    const unchanged = new Set(changes.filter(c => c.action === 'unchanged').map(c => c.name))
+    mkdirSync(dest, { recursive: true })
+    writeEntries(dest, files, unchanged)
+
+    // restored files now match the archive, so they no longer count as local changes
+    if (!to) {
+      const state = readState(this.config.cwd, this.privateDir)
+      const baseline = state?.manifest || { version: 1, files: {} }
+      for (const name of names) {
+        baseline.files[name] = plan.manifest.files[name]
+      }
+      writeState(this.config.cwd, this.privateDir, { archive: state?.archive || null, manifest: baseline })
+    }
+
+    return { archive: plan.archive, dest, conflicts, changes, recovery }
+  }
+
+  // every entry in an archive, decrypted in memory, without ward's own bookkeeping entries
+  async entries(ref = 'latest', { allowUnsigned = this.config.allowUnsigned } = {}) {
+    return (await this.readTrusted(ref, allowUnsigned)).entries
+  }
+
+  // readArchive, refused like restore unless the archive is trusted, for everything that
+  // shows or writes its plaintext
+  async readTrusted(ref, allowUnsigned = this.config.allowUnsigned) {
+    const read = await this.readArchive(ref)
+    this.checkSignatures(read, allowUnsigned)
+    return read
+  }
+
+  // fingerprints of who may sign archives we restore: WARD_GPG_SIGNERS and this clone's signers
+  // file, otherwise only ourselves
+  async trustedSigners() {
+    if (this.config.signers.length > 0) {
+      return this.config.signers.map(parseFingerprint)
+    }
+    this.ownFingerprints ??= getBackend('gpg').secretFingerprints()
+    return this.ownFingerprints
+  }
+
+  // a signature as the backend reported it, judged against the trusted signers
+  async trust(signature) {
+    if (!signature) {
+      return { signed: false, trusted: false, fingerprint: null, uid: null, error: 'not signed' }
+    }
+    if (signature.error) {
+      return { signed: true, trusted: false, ...signature }
+    }
+    const trusted = (await this.trustedSigners()).includes(signature.fingerprint.toUpperCase())
+    return { signed: true, trusted, ...signature, error: trusted ? null : 'signer is not trusted' }
+  }
+
+  // refuse an archive unless every segment we read was signed by a trusted signer, or is
+  // unsigned from a backend allowUnsigned lists
+  checkSignatures(read, allowUnsigned = this.config.allowUnsigned) {
+    const untrusted = read.untrusted.filter(segment => !allowsUnsigned(allowUnsigned, segment.backend, segment.signature))
+    if (untrusted.length === 0) {
+      return
+    }
+    const problems = untrusted.map(segment =>
+      `${segment.group ? `its ${segment.group} segment` : 'it'} ${describeSignature(segment.signature)}`
+    )
+    const error = new Error(`refusing to use ${read.archive.name}, ${problems.join(', ')}`)
+    error.untrusted = untrusted
+    throw error
+  }
+
+  // decrypted output is parsed as it streams in; when decryption fails the truncated tar it
+  // leaves behind is not the interesting error, when the tar is corrupt the backend only fails
+  // because we stopped reading
+  async readSegment(file) {
+    const backend = detectBackend(file)
+    const { stdout, done } = backend.decryptStream(file, this.config)
+    const [parsed, decrypted] = await Promise.allSettled([readPayload(stdout), done])
+    if (parsed.status === 'rejected' && !parsed.reason.truncated) {
+      throw parsed.reason
+    }
+    if (decrypted.status === 'rejected') {
+      throw decrypted.reason
+    }
+    if (parsed.status === 'rejected') {
+      throw parsed.reason
+    }
+    const { header, entries: all } = parsed.value
+    const entries = all.filter(entry => entry.name !== MANIFEST_ENTRY)
+    const stored = header.manifest || readManifestEntry(all)
+
+    return {
+      backend: backend.name,
+      header,
+      entries,
+      // archives packed before manifests existed get one computed from their contents
+      manifest: stored || buildManifest(entries),
+      storedManifest: Boolean(stored),
+      signature: await this.trust(decrypted.value)
+    }
+  }
+
+  // the header of an archive file without decrypting all of it, for listings: the signature
+  // covers the whole file so it isn't checked here. null when we can't decrypt the file or
+  // it was packed before archives had a header
+  async peekHeader(file) {
+    let decryption
+    try {
+      decryption = detectBackend(file).decryptStream(file, this.config)
+    } catch {
+      return null
+    }
+
+    // the backend fails once we stop reading, that is expected
+    decryption.done.catch(() => {})
+    try {
+      const header = await readHeader(decryption.stdout)
+      return header.format > 0 ? header : null
+    } catch {
+      return null
+    } finally {
+      decryption.stdout.destroy()
+    }
+  }
+
+  // a segment with its delta chain applied, so entries are the complete contents
+  //
+  // each delta names its base archive in its manifest, which also lists every file the
+  // segment holds at that point; files come from the newest archive in the chain that has
+  // them. the first signature in the chain that isn't trusted is the one reported
+  async readChain(segment, archives) {
+    const read = await this.readSegment(segment.file)
+    const { delta } = read.manifest
+    if (!delta) {
+      return { ...read, chain: [segment.name] }
+    }
+
+    const base = archives
+      .find(archive => parseArchiveName(archive.name).stem === delta.base)
+      ?.segments.find(s => s.group === segment.group)
+    if (!base) {
+      throw new Error(`${segment.name} only holds changes, its base archive ${delta.base} is missing`)
+    }
+    const parent = await this.readChain(base, archives)
+
+    const own = new Set(read.entries.map(entry => entry.name))
+    const inherited = parent.entries.filter(entry =>
+      entry.type === 'file' && !own.has(entry.name) && read.manifest.files[entry.name]
+    )
+    return {
+      ...read,
+      entries: [...read.entries, ...inherited].sort((a, b) => a.name.localeCompare(b.name)),
+      signature: read.signature.trusted ? parent.signature : read.signature,
+      chain: [segment.name, ...parent.chain]
+    }
+  }
+
+  // every segment of an archive we can decrypt, merged; the shared segment has to decrypt,
+  // policy segments meant for others are reported in `inaccessible` instead of failing
+  async readArchive(ref = 'latest') {
+    const archives = this.list()
+    const archive = resolveRef(archives, ref, this.config.cwd)
+    const segments = []
+    for (const segment of archive.segments) {
+      try {
+        segments.push({ ...segment, ...await this.readChain(segment, archives) })
+      } catch (error) {
+        if (!segment.group) {
+          throw error
+        }
+        segments.push({ ...segment, error: error.message })
+      }
+    }
+
+    const readable = segments.filter(segment => !segment.error)
+    if (readable.length === 0) {
+      throw new Error(segments[0].error)
+    }
+    const entries = readable.flatMap(segment => segment.entries)
+    if (readable.length > 1) {
+      entries.sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    return {
+      archive,
+      backend: readable[0].backend,
+      header: readable[0].header,
+      segments,
+      entries,
+      manifest: mergeManifests(readable.map(segment => segment.manifest)),
+      // only segments that are deltas have a chain, each back to its own full snapshot
+      chains: readable
+        .filter(segment => segment.chain.length > 1)
+        .map(({ group, chain }) => ({ group, chain })),
+      storedManifest: readable.every(segment => segment.storedManifest),
+      untrusted: readable
+        .filter(segment => !segment.signature.trusted)
+        .map(({ group, name, backend, signature }) => ({ group, name, backend, signature })),
+      inaccessible: segments
+        .filter(segment => segment.error)
+        .map(({ group, name, error }) => ({ group, name, error }))
+    }
+  }
+
+  // check an archive end to end: it decrypts with the backend's integrity check passing, the
+  // tar structure is intact, the signature is trusted and every file matches the manifest
+  // stored when it was packed. never throws for a broken archive, that is what it reports
+  async verify(ref = 'latest', { allowUnsigned = this.config.allowUnsigned } = {}) {
+    const archive = this.resolve(ref)
+    const report = {
+      archive,
+      valid: false,
+      error: null,
+      signatures: [],
+      inaccessible: [],
+      chains: [],
+      manifest: false,
+      files: 0,
+      missing: [],
+      extra: [],
+      corrupt: []
+    }
+
+    let read
+    try {
+      read = await this.readArchive(archive.name)
+    } catch (error) {
+      return { ...report, error: error.message }
+    }
+
+    const readable = read.segments.filter(segment => !segment.error)
+    report.signatures = readable.map(({ group, name, signature }) => ({ group, name, signature }))
+    report.chains = read.chains
+    report.inaccessible = read.inaccessible
+    report.files = read.entries.filter(entry => entry.type === 'file').length
+
+    // archives from before manifests only get the decryption and tar checks
+    for (const segment of readable.filter(s => s.storedManifest)) {
+      const { added, removed, modified } = compareManifests(segment.manifest, buildManifest(segment.entries))
+      report.extra.push(...added)
+      report.missing.push(...removed)
+      report.corrupt.push(...modified)
+    }
+    report.manifest = readable.every(segment => segment.storedManifest)
+
+    try {
+      this.checkSignatures(read, allowUnsigned)
+    } catch (error) {
+      report.error = error.message
+    }
+    const damaged = report.missing.length + report.extra.length + report.corrupt.length > 0
+    if (damaged && !report.error) {
+      report.error = 'contents do not match the manifest'
+    }
+    report.valid = !report.error
+    return report
+  }
+
+  // raw size of the files each archive stores against its size on disk, newest first
+  //
+  // a delta only counts the files it holds itself, segments we can't decrypt only their size
+  async stats({ limit = Infinity } = {}) {
+    const archives = this.list().slice(0, limit)
+    const results = []
+    for (const archive of archives) {
+      const segments = []
+      for (const segment of archive.segments) {
+        try {
+          const { header, entries } = await this.readSegment(segment.file)
+          const files = entries.filter(entry => entry.type === 'file')
+          segments.push({
+            ...segment,
+            compression: header.compression,
+            files: files.length,
+            raw: files.reduce((sum, entry) => sum + entry.data.length, 0)
+          })
+        } catch (error) {
+          segments.push({ ...segment, error: error.message })
+        }
+      }
+
+      const readable = segments.filter(segment => !segment.error)
+      results.push({
+        archive,
+        compression: [...new Set(readable.map(segment => segment.compression))].join(', ') || null,
+        files: readable.reduce((sum, segment) => sum + segment.files, 0),
+        raw: readable.reduce((sum, segment) => sum + segment.raw, 0),
+        stored: archive.size,
+        segments
+      })
+    }
+    return results
+  }
+
+  async manifest(ref = 'latest') {
+    return (await this.readArchive(ref)).manifest
+  }
+
+  // files matching a glob, patterns without a slash match the basename at any depth
+  async match(ref, pattern = '**', { allowUnsigned } = {}) {
+    return (await this.entries(ref, { allowUnsigned })).filter(entry => entry.type === 'file' && matchesGlob(entry.name, pattern))
+  }
+
+  // contents of a single file inside an archive
+  async read(ref, filePath, { allowUnsigned } = {}) {
+    const name = filePath.replace(/^\.?\/+/, '')
+    const { entries, inaccessible } = await this.readTrusted(ref, allowUnsigned)
+    const entry = entries.find(e => e.type === 'file' && e.name === name)
+    if (!entry) {
+      const hint = inaccessible.length > 0 ? ` (${describeInaccessible(inaccessible)})` : ''
+      throw new Error(`file ${filePath} not found in archive${hint}`)
+    }
+    return entry.data
+  }
+
+  // variables from dotenv files in an archive, later files win. decrypted in memory for
+  // `ward exec` and `ward env`, and refused like restore unless the archive is trusted
+  async environment(ref = 'latest', { files = ['.env'], allowUnsigned = this.config.allowUnsigned } = {}) {
+    const read = await this.readTrusted(ref, allowUnsigned)
+
+    const variables = {}
+    const names = files.map(file => file.replace(/^\.?\/+/, ''))
+    for (const name of names) {
+      const entry = read.entries.find(e => e.type === 'file' && e.name === name)
+      if (!entry) {
+        const dotenvFiles = read.entries.filter(e => e.type === 'file' && /(^|\/)\.env(\.|$)/.test(e.name))
+        const hints = [
+          dotenvFiles.length > 0 && `dotenv files in it: ${dotenvFiles.map(e => e.name).join(', ')}`,
+          read.inaccessible.length > 0 && describeInaccessible(read.inaccessible)
+        ].filter(Boolean)
+        throw new Error(`file ${name} not found in ${read.archive.name}${hints.length > 0 ? ` (${hints.join(', ')})` : ''}`)
+      }
+      Object.assign(variables, dotenv.parse(entry.data))
+    }
+    return { archive: read.archive, files: names, variables }
+  }
+
+  // write matching files under dest, relative to the pattern's fixed leading directories
+  async copy(ref, pattern, dest, { allowUnsigned } = {}) {
+    const files = await this.match(ref, pattern, { allowUnsigned })
+    const root = path.resolve(dest)
+    const dirs = pattern.replace(/^\.?\/+/, '').split('/').slice(0, -1)
+    const globAt = dirs.findIndex(part => /[*?[{]/.test(part))
+    const fixed = (globAt === -1 ? dirs : dirs.slice(0, globAt)).join('/')
+
+    return files.map(entry => {
+      const relative = fixed && entry.name.startsWith(`${fixed}/`)
+        ? entry.name.slice(fixed.length + 1)
+        : entry.name
+      const target = path.join(dest, relative)
+      if (!path.resolve(target).startsWith(root + path.sep)) {
+        throw new Error(`refusing to write outside ${dest}: ${entry.name}`)
+      }
+      mkdirSync(path.dirname(target), { recursive: true })
+      writeFileSync(target, entry.data, { mode: entry.mode & 0o777 })
+      return { name: entry.name, target }
+    })
+  }
+
+  // compare two archives, or an archive with the private folder when `to` is omitted
+  async diff(from = 'latest', to = null, { allowUnsigned } = {}) {
+    const archives = []
+    for (const ref of [from, to]) {
+      archives.push(ref === null ? null : await this.readTrusted(ref, allowUnsigned))
+    }
+    const inaccessible = archives.flatMap(read => read ? read.inaccessible : [])
+    // groups hidden on either side are left out of both, otherwise they'd show up as removed
+    const side = read => read === null
+      ? { label: path.relative(this.config.cwd, this.privateDir) || '.', entries: this.accessibleEntries(inaccessible) }
+      : { label: read.archive.name, entries: this.withoutGroups(read.entries, inaccessible) }
+
+    const a = side(archives[0])
+    const b = side(archives[1])
+    const { added, removed, modified, before, after } = compareEntries(a.entries, b.entries)
+    const empty = Buffer.alloc(0)
+
+    // added and removed text files diff against an empty side, like git does
+    const describe = status => name => {
+      const old = before.get(name)?.data || empty
+      const current = after.get(name)?.data || empty
+      const binary = !isText(old) || !isText(current)
+      const diff = binary ? null : unifiedDiff(
+        old.toString('utf8'),
+        current.toString('utf8'),
+        status === 'added' ? '/dev/null' : `a/${name}`,
+        status === 'removed' ? '/dev/null' : `b/${name}`
+      )
+      // text files that differ in too many lines to diff are only reported as different
+      return { name, status, binary, large: !binary && diff === null, diff }
+    }
+
+    return {
+      from: a.label,
+      to: b.label,
+      inaccessible,
+      files: [
+        ...added.map(describe('added')),
+        ...removed.map(describe('removed')),
+        ...modified.map(describe('modified'))
+      ].sort((x, y) => x.name.localeCompare(y.name))
+    }
+  }
+}
+
+export { loadConfig } from './config.js'
+export { parseArchiveDate } from './archive.js'
+
+export default Ward
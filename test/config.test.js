@@ -0,0 +1,89 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+
+import { VAULTS_FILE, loadConfig, readVaults, vaultNames } from '../lib/config.js'
+
+// a project folder with the given ward.config.json, none for undefined
+function project(t, vaults) {
+  const cwd = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(cwd, { recursive: true, force: true }))
+  if (vaults !== undefined) {
+    writeFileSync(path.join(cwd, VAULTS_FILE), typeof vaults === 'string' ? vaults : JSON.stringify(vaults))
+  }
+  return cwd
+}
+
+test('readVaults resolves folders, with defaults named after the vault', t => {
+  const cwd = project(t, {
+    default: 'dev',
+    vaults: {
+      dev: {},
+      certs: { source: 'certs', archives: '.archives/certs', recipients: ['alice@example.com'], ignore: 'certs/.encignore' }
+    }
+  })
+  assert.deepEqual(readVaults(cwd), {
+    default: 'dev',
+    vaults: [
+      { name: 'dev', privateDir: path.join(cwd, 'private/dev'), archiveDir: path.join(cwd, '.archives/dev'), ignoreFile: null, recipients: null },
+      {
+        name: 'certs',
+        privateDir: path.join(cwd, 'certs'),
+        archiveDir: path.join(cwd, '.archives/certs'),
+        ignoreFile: path.join(cwd, 'certs/.encignore'),
+        recipients: ['alice@example.com']
+      }
+    ]
+  })
+  assert.deepEqual(vaultNames({ cwd }), ['dev', 'certs'])
+})
+
+test('without ward.config.json there is one vault without a name', t => {
+  const cwd = project(t)
+  assert.equal(readVaults(cwd), null)
+  assert.deepEqual(vaultNames({ cwd }), [null])
+  assert.equal(loadConfig({ cwd }).vault, null)
+  assert.throws(() => loadConfig({ cwd, vault: 'dev' }), /no vaults declared/)
+})
+
+test('loadConfig picks the named vault, the default or the only one', t => {
+  const cwd = project(t, { default: 'dev', vaults: { dev: {}, prod: { recipients: '.ward/prod.recipients' } } })
+  assert.equal(loadConfig({ cwd }).vault, 'dev')
+
+  const prod = loadConfig({ cwd, vault: 'prod' })
+  assert.equal(prod.privateDir, path.join(cwd, 'private/prod'))
+  assert.equal(prod.recipientsFile, path.join(cwd, '.ward/prod.recipients'))
+  assert.deepEqual(prod.vaults.map(vault => vault.name), ['dev', 'prod'])
+
+  assert.equal(loadConfig({ cwd: project(t, { vaults: { only: {} } }) }).vault, 'only')
+})
+
+test('several vaults without a default need one picked', t => {
+  const cwd = project(t, { vaults: { dev: {}, prod: {} } })
+  assert.throws(() => loadConfig({ cwd }), error => {
+    assert.match(error.message, /declares several vaults and no default, pick one of: dev, prod/)
+    assert.deepEqual(error.vaults, ['dev', 'prod'])
+    return true
+  })
+  assert.throws(() => loadConfig({ cwd, vault: 'staging' }), /unknown vault staging, ward.config.json declares: dev, prod/)
+})
+
+test('readVaults refuses invalid declarations', t => {
+  const invalid = (vaults, pattern) => assert.throws(() => readVaults(project(t, vaults)), pattern)
+  invalid('{', /invalid ward.config.json/)
+  invalid({ vaults: {} }, /declares no vaults/)
+  invalid({ vaults: { 'my vault': {} } }, /invalid vault name my vault/)
+  invalid({ vaults: { dev: { recipients: 42 } } }, /recipients of vault dev must be/)
+  invalid({ default: 'staging', vaults: { dev: {} } }, /default vault staging is not declared/)
+})
+
+test('vaults may not share or nest their folders', t => {
+  const overlap = vaults => assert.throws(() => readVaults(project(t, { vaults })), /vaults \w+ and \w+ overlap/)
+  overlap({ dev: { source: 'secrets' }, prod: { source: 'secrets' } })
+  overlap({ dev: { source: 'secrets' }, prod: { source: 'secrets/prod' } })
+  overlap({ dev: { archives: '.archives' }, prod: {} })
+  overlap({ dev: {}, prod: { archives: 'private/dev/archives' } })
+  assert.ok(readVaults(project(t, { vaults: { dev: { source: 'secrets' }, prod: { source: 'secrets-prod' } } })))
+})
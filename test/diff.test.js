@@ -0,0 +1,73 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { MAX_EDITS, compareEntries, editScript, isText, splitLines, unifiedDiff } from '../lib/diff.js'
+
+const mtime = new Date('2024-12-01T10:00:00Z')
+const file = (name, text) => ({ name, type: 'file', mode: 0o644, mtime, data: Buffer.from(text) })
+const lines = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`)
+
+// the lines of b, rebuilt from a and the edit script
+function apply(a, ops) {
+  assert.ok(ops.filter(op => op.op !== '+').every(op => a[op.a] === op.line))
+  return ops.filter(op => op.op !== '-').map(op => op.line)
+}
+
+test('compareEntries sorts files into added, removed and modified', () => {
+  const before = [file('same', 'x'), file('changed', 'a'), file('gone', 'x'), { name: 'dir', type: 'directory' }]
+  const after = [file('same', 'x'), file('changed', 'b'), file('new', 'x')]
+  const { added, removed, modified } = compareEntries(before, after)
+  assert.deepEqual({ added, removed, modified }, { added: ['new'], removed: ['gone'], modified: ['changed'] })
+})
+
+test('editScript finds a shortest edit script', () => {
+  const a = 'a b c a b b a'.split(' ')
+  const b = 'c b a b a c'.split(' ')
+  const ops = editScript(a, b)
+  assert.deepEqual(apply(a, ops), b)
+  assert.equal(ops.filter(op => op.op !== ' ').length, 5)
+})
+
+test('editScript keeps shared lines at both ends out of the comparison', () => {
+  const a = [...lines(5000, 'same'), 'old', ...lines(5000, 'tail')]
+  const b = [...lines(5000, 'same'), 'new', ...lines(5000, 'tail')]
+  const ops = editScript(a, b)
+  assert.deepEqual(apply(a, ops), b)
+  assert.deepEqual(ops.filter(op => op.op !== ' ').map(op => `${op.op}${op.line}`), ['-old', '+new'])
+})
+
+test('editScript gives up past the limit', () => {
+  assert.equal(editScript(lines(10, 'a'), lines(10, 'b'), 19), null)
+  assert.ok(editScript(lines(10, 'a'), lines(10, 'b'), 20))
+  assert.equal(editScript(lines(MAX_EDITS, 'a'), lines(MAX_EDITS, 'b')), null)
+})
+
+test('unifiedDiff shows changes with three lines of context', () => {
+  const before = `${lines(10, 'line').join('\n')}\n`
+  const after = before.replace('line5\n', 'changed\n')
+  assert.equal(unifiedDiff(before, after, 'a/f', 'b/f'), [
+    '--- a/f',
+    '+++ b/f',
+    '@@ -3,7 +3,7 @@',
+    ' line2',
+    ' line3',
+    ' line4',
+    '-line5',
+    '+changed',
+    ' line6',
+    ' line7',
+    ' line8'
+  ].join('\n'))
+})
+
+test('unifiedDiff is empty for equal text and null when too different', () => {
+  assert.equal(unifiedDiff('a\n', 'a\n', 'a', 'b'), '')
+  assert.equal(unifiedDiff(lines(3000, 'a').join('\n'), lines(3000, 'b').join('\n'), 'a', 'b'), null)
+})
+
+test('isText and splitLines', () => {
+  assert.equal(isText(Buffer.from('plain\n')), true)
+  assert.equal(isText(Buffer.from([0x50, 0x4b, 0x00, 0x01])), false)
+  assert.deepEqual(splitLines('a\nb\n'), ['a', 'b'])
+  assert.deepEqual(splitLines('a\nb'), ['a', 'b'])
+})
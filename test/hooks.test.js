@@ -0,0 +1,79 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync, spawnSync } from 'child_process'
+import { chmodSync, existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+
+import { HOOKS, hookScript, hookStatus, hooksDir, installHooks, uninstallHooks } from '../lib/hooks.js'
+
+// config from the environment (GIT_CONFIG_COUNT and friends) would override the test repository's
+for (const key of Object.keys(process.env).filter(key => key.startsWith('GIT_CONFIG_'))) {
+  delete process.env[key]
+}
+
+function gitRepo(t) {
+  const cwd = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(cwd, { recursive: true, force: true }))
+  execFileSync('git', ['init', '-q'], { cwd })
+  return cwd
+}
+
+const states = cwd => Object.fromEntries(hookStatus(cwd).map(hook => [hook.name, hook.state]))
+
+test('installHooks writes every hook once', t => {
+  const cwd = gitRepo(t)
+  assert.deepEqual(Object.values(states(cwd)), HOOKS.map(() => 'missing'))
+
+  assert.deepEqual(installHooks(cwd).map(hook => hook.action), HOOKS.map(() => 'installed'))
+  assert.deepEqual(Object.values(states(cwd)), HOOKS.map(() => 'installed'))
+  assert.equal(readFileSync(path.join(hooksDir(cwd), 'pre-push'), 'utf8'), hookScript('pre-push'))
+  assert.deepEqual(installHooks(cwd).map(hook => hook.action), HOOKS.map(() => 'unchanged'))
+
+  assert.deepEqual(uninstallHooks(cwd).map(hook => hook.action), HOOKS.map(() => 'removed'))
+  assert.deepEqual(Object.values(states(cwd)), HOOKS.map(() => 'missing'))
+})
+
+test('an existing hook is chained as .pre-ward and put back on uninstall', t => {
+  const cwd = gitRepo(t)
+  const file = path.join(hooksDir(cwd), 'pre-commit')
+  writeFileSync(file, '#!/bin/sh\nexit 3\n')
+  chmodSync(file, 0o755)
+  assert.equal(states(cwd)['pre-commit'], 'foreign')
+
+  const installed = installHooks(cwd).find(hook => hook.name === 'pre-commit')
+  assert.equal(installed.action, 'chained')
+  assert.equal(readFileSync(`${file}.pre-ward`, 'utf8'), '#!/bin/sh\nexit 3\n')
+
+  // a failing pre- hook stops the commit before ward runs
+  assert.equal(spawnSync(file, { cwd }).status, 3)
+
+  const restored = uninstallHooks(cwd).find(hook => hook.name === 'pre-commit')
+  assert.equal(restored.action, 'restored')
+  assert.equal(readFileSync(file, 'utf8'), '#!/bin/sh\nexit 3\n')
+  assert.equal(existsSync(`${file}.pre-ward`), false)
+})
+
+test('outdated hooks are updated and foreign ones never overwritten', t => {
+  const cwd = gitRepo(t)
+  const dir = hooksDir(cwd)
+  installHooks(cwd)
+  writeFileSync(path.join(dir, 'post-merge'), `${hookScript('post-merge')}# edited\n`)
+  writeFileSync(path.join(dir, 'pre-push'), '#!/bin/sh\n')
+  writeFileSync(path.join(dir, 'pre-push.pre-ward'), '#!/bin/sh\n')
+
+  const actions = Object.fromEntries(installHooks(cwd).map(hook => [hook.name, hook.action]))
+  assert.equal(actions['post-merge'], 'updated')
+  assert.equal(actions['pre-push'], 'skipped')
+  assert.equal(uninstallHooks(cwd).find(hook => hook.name === 'pre-push').action, 'unchanged')
+})
+
+test('installHooks follows core.hooksPath and refuses one that is not a folder', t => {
+  const cwd = gitRepo(t)
+  execFileSync('git', ['config', 'core.hooksPath', '.githooks'], { cwd })
+  installHooks(cwd)
+  assert.ok(existsSync(path.join(cwd, '.githooks', 'pre-commit')))
+
+  execFileSync('git', ['config', 'core.hooksPath', '/dev/null'], { cwd })
+  assert.throws(() => installHooks(cwd), /git hooks are turned off/)
+})
@@ -0,0 +1,69 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs'
+
+import { createMatcher, parseIgnore } from '../lib/ignore.js'
+
+function matcher(t, text, files = {}) {
+  const root = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(root, { recursive: true, force: true }))
+  for (const [name, content] of Object.entries(files)) {
+    mkdirSync(path.dirname(path.join(root, name)), { recursive: true })
+    writeFileSync(path.join(root, name), content)
+  }
+  const match = createMatcher(root, parseIgnore(text))
+  return (name, isDirectory) => match(name, isDirectory)?.ignored ?? false
+}
+
+test('parseIgnore skips comments and blank lines and unescapes', () => {
+  const rules = parseIgnore('# comment\n\n*.log  \n!keep.log\n/build/\n')
+  assert.deepEqual(rules.map(({ pattern, negate, directoryOnly, anchored }) => ({ pattern, negate, directoryOnly, anchored })), [
+    { pattern: '*.log', negate: false, directoryOnly: false, anchored: false },
+    { pattern: 'keep.log', negate: true, directoryOnly: false, anchored: false },
+    { pattern: 'build', negate: false, directoryOnly: true, anchored: true }
+  ])
+})
+
+test('a negation re-includes a file an earlier pattern excluded', t => {
+  const ignored = matcher(t, '*.log\n!keep.log\n')
+  assert.equal(ignored('debug.log'), true)
+  assert.equal(ignored('sub/debug.log'), true)
+  assert.equal(ignored('keep.log'), false)
+  assert.equal(ignored('sub/keep.log'), false)
+})
+
+test('the last matching pattern wins', t => {
+  const ignored = matcher(t, '!keep.log\n*.log\n')
+  assert.equal(ignored('keep.log'), true)
+})
+
+test('a negation can\'t re-include a file inside an excluded directory', t => {
+  const ignored = matcher(t, 'cache/\n!cache/keep.txt\n')
+  assert.equal(ignored('cache', true), true)
+  assert.equal(ignored('cache/keep.txt'), true)
+})
+
+test('a trailing slash only matches directories', t => {
+  const ignored = matcher(t, 'cache/\n')
+  assert.equal(ignored('cache', true), true)
+  assert.equal(ignored('cache', false), false)
+  assert.equal(ignored('sub/cache/file.txt'), true)
+})
+
+test('a leading or middle slash anchors a pattern', t => {
+  const ignored = matcher(t, '/build\ndocs/*.pdf\n')
+  assert.equal(ignored('build', true), true)
+  assert.equal(ignored('sub/build', true), false)
+  assert.equal(ignored('docs/a.pdf'), true)
+  assert.equal(ignored('sub/docs/a.pdf'), false)
+})
+
+test('an .encignore in a subfolder applies to that folder and comes last', t => {
+  const ignored = matcher(t, '*.log\n', { 'sub/.encignore': '!keep.log\n*.tmp\n' })
+  assert.equal(ignored('sub/keep.log'), false)
+  assert.equal(ignored('keep.log'), true)
+  assert.equal(ignored('sub/a.tmp'), true)
+  assert.equal(ignored('a.tmp'), false)
+})
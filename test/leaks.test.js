@@ -0,0 +1,83 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+
+import { addedLines, entropy, fingerprint, readAllowlist, scanLines, vaultFingerprints } from '../lib/leaks.js'
+
+const none = { globs: [], fingerprints: new Set() }
+const added = (text, file = 'src/config.js') => ({ file, line: 1, text })
+const rules = findings => findings.map(finding => finding.rule)
+
+// built at runtime so the test file itself doesn't look like it leaks anything
+const github = ['ghp', 'q8Zr3VmX1kP0wL7sT4yN6bH2jC9dF5gAxEuR'].join('_')
+const key = ['-----BEGIN', 'OPENSSH PRIVATE KEY-----'].join(' ')
+
+test('addedLines numbers added lines and names them from the file list', () => {
+  const diff = [
+    'diff --git a/one b/one',
+    'index 1111111..2222222 100644',
+    '--- a/one',
+    '+++ b/one',
+    '@@ -1,0 +2,2 @@',
+    '+first',
+    '+++ looks like a header',
+    'diff --git "a/t\\303\\251st" "b/t\\303\\251st"',
+    '--- /dev/null',
+    '+++ "b/t\\303\\251st"',
+    '@@ -0,0 +1 @@',
+    '+third'
+  ].join('\n')
+  assert.deepEqual(addedLines(diff, ['one', 'tést']), [
+    { file: 'one', line: 2, text: 'first' },
+    { file: 'one', line: 3, text: '++ looks like a header' },
+    { file: 'tést', line: 1, text: 'third' }
+  ])
+})
+
+test('scanLines finds credentials by pattern', () => {
+  assert.deepEqual(rules(scanLines([added(key)], new Map(), none)), ['private-key'])
+  assert.deepEqual(rules(scanLines([added(`token: ${github}`)], new Map(), none)), ['github-token', 'high-entropy'])
+  assert.deepEqual(rules(scanLines([added('AWS_ACCESS_KEY_ID=AKIAEXAMPLEEXAMPLE12')], new Map(), none)), ['aws-access-key'])
+  assert.deepEqual(rules(scanLines([added('postgres://app:hunter22@db/app')], new Map(), none)), ['url-password'])
+  assert.deepEqual(rules(scanLines([added('password = "correct horse battery"')], new Map(), none)), [])
+})
+
+test('scanLines finds values copied out of the vault, and reports them by fingerprint', () => {
+  const entries = [{ name: '.env', type: 'file', data: Buffer.from('DB_PASSWORD=kangaroo-umbrella-42\nDEBUG=true\n') }]
+  const vault = vaultFingerprints(entries, 'private')
+  const findings = scanLines([added('const url = `db://${"kangaroo-umbrella-42"}`')], vault, none)
+  assert.deepEqual(findings, [{
+    file: 'src/config.js',
+    line: 1,
+    rule: 'vault',
+    description: 'value from private/.env:1',
+    fingerprint: fingerprint('kangaroo-umbrella-42')
+  }])
+  assert.ok(!JSON.stringify(findings).includes('kangaroo'))
+  assert.deepEqual(scanLines([added('if (ok) return true')], vault, none), [], 'short values are not compared')
+})
+
+test('the allowlist and ward:allow silence findings', t => {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'allowlist')
+  writeFileSync(file, `# fixtures\n./test/fixtures/**\n*.pem  # any depth\n${fingerprint(github)}\n`)
+
+  const allowlist = readAllowlist(file)
+  assert.deepEqual(allowlist.globs, ['test/fixtures/**', '*.pem'])
+  assert.deepEqual([...allowlist.fingerprints], [fingerprint(github)])
+  assert.deepEqual(readAllowlist(path.join(dir, 'missing')), none)
+
+  assert.deepEqual(scanLines([added(key, 'test/fixtures/id_rsa')], new Map(), allowlist), [])
+  assert.deepEqual(scanLines([added(key, 'deploy/certs/server.pem')], new Map(), allowlist), [])
+  assert.deepEqual(scanLines([added(`${key} ward:allow`)], new Map(), none), [])
+  assert.deepEqual(scanLines([added(`token: ${github}`)], new Map(), allowlist), [], 'every rule that found the value')
+})
+
+test('entropy tells random values from words', () => {
+  assert.equal(entropy('aaaa'), 0)
+  assert.ok(entropy('correcthorsebattery') < 3.5)
+  assert.ok(entropy('q8Zr3VmX1kP0wL7s') > 3.5)
+})
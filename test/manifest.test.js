@@ -0,0 +1,43 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { buildManifest, compareManifests, mergeManifests, sha256 } from '../lib/manifest.js'
+
+const mtime = new Date('2024-12-01T10:00:00Z')
+const file = (name, text, mode = 0o644) => ({ name, type: 'file', mode: 0o100000 | mode, mtime, data: Buffer.from(text) })
+
+test('buildManifest records hash, size and permissions of regular files only', () => {
+  const manifest = buildManifest([
+    file('a.txt', 'hello'),
+    { name: 'dir', type: 'directory', mode: 0o755, mtime },
+    { name: 'link', type: 'symlink', mode: 0o777, mtime, linkname: 'a.txt' }
+  ])
+  assert.deepEqual(manifest, {
+    version: 1,
+    files: { 'a.txt': { sha256: sha256('hello'), size: 5, mode: 0o644 } }
+  })
+  assert.equal(sha256('hello'), '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824')
+})
+
+test('compareManifests finds added, removed and modified files', () => {
+  const before = buildManifest([file('same', 'x'), file('edited', 'a'), file('chmod', 'x'), file('gone', 'x')])
+  const after = buildManifest([file('same', 'x'), file('edited', 'b'), file('chmod', 'x', 0o600), file('new', 'x')])
+  assert.deepEqual(compareManifests(before, after), {
+    added: ['new'],
+    removed: ['gone'],
+    modified: ['chmod', 'edited'],
+    changed: true
+  })
+  assert.equal(compareManifests(before, before).changed, false)
+})
+
+test('compareManifests treats a missing manifest as empty', () => {
+  const manifest = buildManifest([file('a', 'x')])
+  assert.deepEqual(compareManifests(null, manifest).added, ['a'])
+  assert.deepEqual(compareManifests(manifest, undefined).removed, ['a'])
+})
+
+test('mergeManifests combines the files of several segments', () => {
+  const merged = mergeManifests([buildManifest([file('a', 'x')]), buildManifest([file('b', 'y')])])
+  assert.deepEqual(Object.keys(merged.files), ['a', 'b'])
+})
@@ -0,0 +1,52 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { mergeEntries, mergeText } from '../lib/merge.js'
+
+const mtime = new Date('2024-12-01T10:00:00Z')
+const file = (name, text) => ({ name, type: 'file', mode: 0o644, mtime, data: Buffer.from(text) })
+
+test('mergeText takes changes to different lines from both sides', () => {
+  const result = mergeText('a\nb\nc\n', 'A\nb\nc\n', 'a\nb\nC\n')
+  assert.deepEqual(result, { text: 'A\nb\nC\n', conflicts: 0 })
+})
+
+test('mergeText marks changes to the same line as a conflict', () => {
+  const result = mergeText('a\nb\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n', { ours: 'mine', theirs: 'other' })
+  assert.equal(result.conflicts, 1)
+  assert.equal(result.text, 'a\n<<<<<<< mine\nours\n=======\ntheirs\n>>>>>>> other\nc\n')
+})
+
+test('mergeText takes an identical change once', () => {
+  assert.deepEqual(mergeText('a\n', 'b\n', 'b\n'), { text: 'b\n', conflicts: 0 })
+})
+
+test('mergeText gives up on sides too different from the base', () => {
+  const lines = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join('\n')
+  assert.equal(mergeText(lines(3000, 'base'), lines(3000, 'ours'), lines(3000, 'base')), null)
+})
+
+test('mergeEntries takes the side that changed a file', () => {
+  const base = [file('a', 'base\n'), file('b', 'base\n'), file('gone', 'x\n')]
+  const ours = [file('a', 'ours\n'), file('b', 'base\n')]
+  const theirs = [file('a', 'base\n'), file('b', 'theirs\n'), file('gone', 'x\n'), file('new', 'new\n')]
+  const result = mergeEntries(base, ours, theirs)
+  assert.deepEqual(result.entries.map(e => [e.name, e.data.toString()]), [['a', 'ours\n'], ['b', 'theirs\n'], ['new', 'new\n']])
+  assert.deepEqual(result.conflicts, [])
+})
+
+test('mergeEntries reports conflicts with markers, or with copies when it can\'t merge lines', () => {
+  const base = [file('text', 'a\nb\nc\n'), file('deleted', 'x\n'), file('binary', '\0base')]
+  const ours = [file('text', 'a\nours\nc\n'), file('deleted', 'changed\n'), file('binary', '\0ours')]
+  const theirs = [file('text', 'a\ntheirs\nc\n'), file('binary', '\0theirs')]
+  const result = mergeEntries(base, ours, theirs)
+
+  assert.deepEqual(result.conflicts, [
+    { name: 'binary', markers: 0, copies: ['binary.ours', 'binary.theirs'] },
+    { name: 'deleted', markers: 0, copies: ['deleted.ours'] },
+    { name: 'text', markers: 1, copies: [] }
+  ])
+  const names = result.entries.map(e => e.name)
+  assert.deepEqual(names, ['binary', 'binary.ours', 'binary.theirs', 'deleted', 'deleted.ours', 'text'])
+  assert.equal(result.entries.find(e => e.name === 'binary').data.toString(), '\0ours', 'our version stays in place')
+})
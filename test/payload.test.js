@@ -0,0 +1,55 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'stream'
+import { buffer } from 'stream/consumers'
+
+import { COMPRESSIONS, FORMAT, checkCompression, payloadStream, readHeader, readPayload } from '../lib/payload.js'
+import { createTar } from '../lib/tar.js'
+
+const mtime = new Date('2024-12-01T10:00:00Z')
+const file = (name, text = name) => ({ name, type: 'file', mode: 0o644, mtime, data: Buffer.from(text) })
+const entries = [file('a.txt', 'hello\n'), file('b.txt', 'x'.repeat(100000))]
+
+// a decrypted stream, delivered in small chunks like a backend's stdout
+const chunked = (data, size = 7) => Readable.from(Array.from({ length: Math.ceil(data.length / size) }, (_, i) =>
+  data.subarray(i * size, (i + 1) * size)
+))
+
+for (const compression of Object.keys(COMPRESSIONS)) {
+  test(`readPayload reads back what payloadStream wrote with ${compression}`, async () => {
+    const data = await buffer(payloadStream(entries, { compression, message: 'hi', files: 2 }))
+    assert.ok(data.toString('latin1').startsWith(`ward-archive {"format":${FORMAT},`))
+
+    const { header, entries: read } = await readPayload(chunked(data))
+    assert.deepEqual(header, { format: FORMAT, compression, message: 'hi', files: 2 })
+    assert.deepEqual(read.map(e => [e.name, e.data.toString()]), entries.map(e => [e.name, e.data.toString()]))
+  })
+}
+
+test('readHeader stops after the header line', async () => {
+  const data = await buffer(payloadStream(entries, { compression: 'gzip' }))
+  assert.deepEqual(await readHeader(chunked(data)), { format: FORMAT, compression: 'gzip' })
+})
+
+test('a bare tarball is read as format 0', async () => {
+  const { header, entries: read } = await readPayload(chunked(createTar(entries)))
+  assert.deepEqual(header, { format: 0, compression: 'none' })
+  assert.deepEqual(read.map(e => e.name), ['a.txt', 'b.txt'])
+})
+
+test('newer formats, unknown compressions and cut headers are refused', async () => {
+  const payload = header => Readable.from([Buffer.from(`ward-archive ${JSON.stringify(header)}\n`)])
+  await assert.rejects(readPayload(payload({ format: FORMAT + 1 })), /newer than this version of ward/)
+  await assert.rejects(readPayload(payload({ format: FORMAT, compression: 'zstd' })), /unknown compression zstd/)
+  await assert.rejects(readPayload(Readable.from([Buffer.from('ward-archive {"for')])), error => error.truncated)
+})
+
+test('a compressed payload cut short counts as truncated', async () => {
+  const data = await buffer(payloadStream(entries, { compression: 'brotli' }))
+  await assert.rejects(readPayload(chunked(data.subarray(0, data.length - 20))), error => error.truncated)
+})
+
+test('checkCompression lists the known compressions', () => {
+  assert.equal(checkCompression('brotli'), 'brotli')
+  assert.throws(() => checkCompression('zstd'), /expected one of: none, gzip, brotli/)
+})
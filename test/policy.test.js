@@ -0,0 +1,62 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+
+import { groupOf, readPolicy, splitEntries } from '../lib/policy.js'
+
+function writePolicy(t, policy) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'policy.json')
+  writeFileSync(file, typeof policy === 'string' ? policy : JSON.stringify(policy))
+  return file
+}
+
+const policy = {
+  groups: { signing: ['alice@example.com'], ops: ['bob@example.com'] },
+  paths: { './signing/': 'signing', '*.p12': 'signing', 'signing/ops/**': 'ops', 'deploy/*.env': 'ops' }
+}
+
+test('readPolicy normalises globs and keeps them in order', t => {
+  const { groups, paths } = readPolicy(writePolicy(t, policy))
+  assert.deepEqual(groups, policy.groups)
+  assert.deepEqual(paths, [
+    { glob: 'signing', group: 'signing' },
+    { glob: '*.p12', group: 'signing' },
+    { glob: 'signing/ops/**', group: 'ops' },
+    { glob: 'deploy/*.env', group: 'ops' }
+  ])
+})
+
+test('readPolicy without a file gives everything to everyone', () => {
+  assert.deepEqual(readPolicy('/nonexistent/policy.json'), { groups: {}, paths: [] })
+})
+
+test('readPolicy refuses invalid policies', t => {
+  assert.throws(() => readPolicy(writePolicy(t, '{')), /invalid .*policy\.json/)
+  assert.throws(() => readPolicy(writePolicy(t, { groups: { 'a b': [] } })), /invalid policy group name a b/)
+  assert.throws(() => readPolicy(writePolicy(t, { groups: { delta: [] } })), /reserved/)
+  assert.throws(() => readPolicy(writePolicy(t, { groups: { ops: 'bob' } })), /must be a list/)
+  assert.throws(() => readPolicy(writePolicy(t, { paths: { '*.key': 'ops' } })), /unknown group ops/)
+})
+
+test('groupOf uses the first glob matching a path or one of its folders', t => {
+  const parsed = readPolicy(writePolicy(t, policy))
+  assert.equal(groupOf(parsed, 'signing/release.key'), 'signing')
+  assert.equal(groupOf(parsed, 'signing/ops/token'), 'signing', 'an earlier rule wins')
+  assert.equal(groupOf(parsed, 'certs/app.p12'), 'signing', 'globs without a slash match at any depth')
+  assert.equal(groupOf(parsed, 'deploy/prod.env'), 'ops')
+  assert.equal(groupOf(parsed, 'deploy/nested/prod.env'), null)
+  assert.equal(groupOf(parsed, '.env'), null)
+})
+
+test('splitEntries puts the shared segment first, even when empty', t => {
+  const parsed = readPolicy(writePolicy(t, policy))
+  const entry = name => ({ name, type: 'file' })
+  const segments = splitEntries([entry('deploy/prod.env'), entry('signing'), entry('signing/a.key')], parsed)
+  assert.deepEqual([...segments.keys()], [null, 'ops', 'signing'])
+  assert.deepEqual(segments.get(null), [])
+  assert.deepEqual(segments.get('signing').map(e => e.name), ['signing', 'signing/a.key'])
+})
@@ -0,0 +1,52 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+
+import { findRecipients, isAgeRecipient, readRecipients, writeRecipients } from '../lib/recipients.js'
+
+const bob = { id: 'C222411DB342CCF5C79D3AD3033ACFCA5DA6E7C8', comment: 'Bob <bob@example.com>' }
+const ci = { id: 'age1ql3z7hjy54pw3hyww5ayyfg7zqgvc7w3j2elw8zmrj2kg5sfn9aqmcac8p', comment: 'ci' }
+const bare = { id: 'A743D32B6F9C3D2BF6C7FFD83B5AD772D1AA940E', comment: null }
+
+function tempDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('writeRecipients and readRecipients roundtrip, comments included', t => {
+  const file = path.join(tempDir(t), '.ward', 'recipients')
+  writeRecipients(file, [bob, ci, bare])
+  assert.deepEqual(readRecipients(file), [bob, ci, bare])
+
+  const [header, first] = readFileSync(file, 'utf8').split('\n')
+  assert.match(header, /^# /)
+  assert.equal(first, `${bob.id.padEnd(ci.id.length)}  # ${bob.comment}`)
+})
+
+test('readRecipients skips blank and comment lines and tolerates a missing file', t => {
+  const dir = tempDir(t)
+  assert.deepEqual(readRecipients(path.join(dir, 'missing')), [])
+
+  const file = path.join(dir, 'recipients')
+  writeFileSync(file, `# comment\n\n  ${bare.id}  \n${ci.id} #\n`)
+  assert.deepEqual(readRecipients(file), [bare, { id: ci.id, comment: null }])
+})
+
+test('findRecipients matches fingerprints, key ids, names and emails', () => {
+  const recipients = [bob, ci, bare]
+  assert.deepEqual(findRecipients(recipients, bob.id.toLowerCase()), [bob])
+  assert.deepEqual(findRecipients(recipients, '033ACFCA5DA6E7C8'), [bob])
+  assert.deepEqual(findRecipients(recipients, 'C222 411D B342 CCF5 C79D  3AD3 033A CFCA 5DA6 E7C8'), [bob])
+  assert.deepEqual(findRecipients(recipients, 'bob@example.com'), [bob])
+  assert.deepEqual(findRecipients(recipients, 'CI'), [ci])
+  assert.deepEqual(findRecipients(recipients, 'carol'), [])
+})
+
+test('isAgeRecipient recognises age and ssh keys', () => {
+  assert.equal(isAgeRecipient(ci.id), true)
+  assert.equal(isAgeRecipient('ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAI'), true)
+  assert.equal(isAgeRecipient(bob.id), false)
+})
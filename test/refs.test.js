@@ -0,0 +1,50 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { parseRef, resolveRef } from '../lib/refs.js'
+
+// newest first, like Ward.list(); the oldest one isn't committed yet
+const archives = [
+  { name: '2024-12-03_10-00-00-000Z.tar.gpg', date: new Date('2024-12-03T10:00:00Z'), git: { hash: '66b7d91aaaa' } },
+  { name: '2024-12-02_10-00-00-000Z.tar.age', date: new Date('2024-12-02T10:00:00Z'), git: { hash: '66bc000bbbb' } },
+  { name: '2024-11-30_10-00-00-000Z.tar.gpg', date: new Date('2024-11-30T10:00:00Z'), git: { hash: '1234567cccc' } },
+  { name: '2024-11-29_10-00-00-000Z.tar.gpg', date: new Date('2024-11-29T10:00:00Z'), git: null }
+]
+const resolve = ref => resolveRef(archives, ref).name
+
+test('parseRef splits a ref into its base and offset', () => {
+  assert.deepEqual(parseRef('latest'), { base: 'latest', offset: 0 })
+  assert.deepEqual(parseRef('~'), { base: 'latest', offset: 1 })
+  assert.deepEqual(parseRef('66b~2~'), { base: '66b', offset: 3 })
+})
+
+test('latest and indexes count from the newest archive', () => {
+  assert.equal(resolve('latest'), archives[0].name)
+  assert.equal(resolve('0'), archives[0].name)
+  assert.equal(resolve('2'), archives[2].name)
+  assert.equal(resolve('latest~3'), archives[3].name)
+})
+
+test('file names resolve with or without their extension', () => {
+  assert.equal(resolve('2024-12-02_10-00-00-000Z.tar.age'), archives[1].name)
+  assert.equal(resolve('2024-12-02_10-00-00-000Z'), archives[1].name)
+  assert.equal(resolve('.archives/2024-11-30_10-00-00-000Z.tar.gpg'), archives[2].name)
+})
+
+test('commit hashes resolve by unambiguous prefix', () => {
+  assert.equal(resolve('66b7'), archives[0].name)
+  assert.equal(resolve('66bc~1'), archives[2].name)
+  assert.throws(() => resolve('66b'), /ambiguous ref 66b/)
+})
+
+test('dates pick the newest archive at or before them', () => {
+  assert.equal(resolve('@{2024-12-01}'), archives[2].name)
+  assert.throws(() => resolve('@{2024-01-01}'), /no archive found at or before/)
+})
+
+test('refs past either end are refused', () => {
+  assert.throws(() => resolve('latest~4'), /beyond the oldest archive/)
+  assert.throws(() => resolve('9'), /archive index 9 not found/)
+  assert.throws(() => resolve('nope'), /archive nope not found/)
+  assert.throws(() => resolveRef([], 'latest'), /no archives found/)
+})
@@ -0,0 +1,57 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { applyRetention, parseCount } from '../lib/retention.js'
+
+// newest first, like Ward.list()
+const archives = dates => dates
+  .map(date => ({ name: date, date: new Date(date) }))
+  .sort((a, b) => b.date - a.date)
+
+const policy = counts => ({ last: 0, daily: 0, weekly: 0, monthly: 0, ...counts })
+const now = new Date('2024-12-11T12:00:00Z') // a wednesday
+
+test('last keeps the newest archives', () => {
+  const kept = applyRetention(archives(['2024-12-11T10:00:00Z', '2024-12-10T10:00:00Z', '2024-12-09T10:00:00Z']), policy({ last: 2 }), now)
+  assert.deepEqual([...kept.keys()], ['2024-12-11T10:00:00Z', '2024-12-10T10:00:00Z'])
+})
+
+test('daily keeps the newest archive of each of the last days, today included', () => {
+  const list = archives([
+    '2024-12-11T10:00:00Z',
+    '2024-12-11T08:00:00Z',
+    '2024-12-10T23:00:00Z',
+    '2024-12-10T01:00:00Z',
+    '2024-12-08T10:00:00Z'
+  ])
+  const kept = applyRetention(list, policy({ daily: 3 }), now)
+  assert.deepEqual([...kept.keys()], ['2024-12-11T10:00:00Z', '2024-12-10T23:00:00Z'])
+})
+
+test('weekly buckets start on monday', () => {
+  const list = archives([
+    '2024-12-09T10:00:00Z', // monday
+    '2024-12-08T10:00:00Z', // sunday, the week before
+    '2024-12-02T10:00:00Z',
+    '2024-11-20T10:00:00Z'
+  ])
+  const kept = applyRetention(list, policy({ weekly: 2 }), now)
+  assert.deepEqual([...kept.keys()], ['2024-12-09T10:00:00Z', '2024-12-08T10:00:00Z'])
+})
+
+test('monthly Infinity keeps one archive a month forever', () => {
+  const list = archives(['2024-12-01T10:00:00Z', '2024-11-30T10:00:00Z', '2024-11-01T10:00:00Z', '2020-01-15T10:00:00Z'])
+  const kept = applyRetention(list, policy({ monthly: Infinity }), now)
+  assert.deepEqual([...kept.keys()], ['2024-12-01T10:00:00Z', '2024-11-30T10:00:00Z', '2020-01-15T10:00:00Z'])
+})
+
+test('an archive lists every rule that keeps it', () => {
+  const kept = applyRetention(archives(['2024-12-11T10:00:00Z']), policy({ last: 1, daily: 1, weekly: 1, monthly: 1 }), now)
+  assert.deepEqual(kept.get('2024-12-11T10:00:00Z'), ['last', 'daily', 'weekly', 'monthly'])
+})
+
+test('parseCount reads numbers and all', () => {
+  assert.equal(parseCount('7', 'WARD_KEEP_LAST'), 7)
+  assert.equal(parseCount(' all ', 'WARD_KEEP_LAST'), Infinity)
+  assert.throws(() => parseCount('-1', 'WARD_KEEP_LAST'), /invalid WARD_KEEP_LAST -1/)
+})
@@ -0,0 +1,46 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'stream'
+
+import { createTar, parseTar, readTar } from '../lib/tar.js'
+
+const mtime = new Date('2024-12-01T10:00:00Z')
+const file = (name, text = name) => ({ name, type: 'file', mode: 0o644, mtime, data: Buffer.from(text) })
+
+test('parseTar reads back what createTar wrote', () => {
+  const entries = parseTar(createTar([
+    { name: 'sub', type: 'directory', mode: 0o755, mtime },
+    file('sub/a.txt', 'hello\n'),
+    file(`${'long/'.repeat(30)}name.txt`)
+  ]))
+  assert.deepEqual(entries.map(e => [e.name, e.type]), [
+    ['sub', 'directory'],
+    ['sub/a.txt', 'file'],
+    [`${'long/'.repeat(30)}name.txt`, 'file']
+  ])
+  assert.equal(entries[1].data.toString(), 'hello\n')
+})
+
+test('parseTar refuses entries outside the archive folder', () => {
+  for (const name of ['../escape.txt', 'sub/../../escape.txt', '/etc/passwd', 'C:/Windows/escape.txt']) {
+    assert.throws(() => parseTar(createTar([file(name)])), /outside the archive's folder/, name)
+  }
+})
+
+test('readTar parses a tarball that arrives in small chunks', async () => {
+  const tar = createTar([file('a.txt', 'x'.repeat(1500)), file('b.txt', 'b')])
+  const chunks = []
+  for (let i = 0; i < tar.length; i += 100) {
+    chunks.push(tar.subarray(i, i + 100))
+  }
+  const entries = await readTar(Readable.from(chunks))
+  assert.deepEqual(entries.map(e => [e.name, e.data.length]), [['a.txt', 1500], ['b.txt', 1]])
+})
+
+test('parseTar refuses a corrupt header and a tarball cut short', () => {
+  const tar = createTar([file('a.txt', 'x'.repeat(1000))])
+  assert.throws(() => parseTar(tar.subarray(0, 700)))
+
+  tar[0] ^= 0xff
+  assert.throws(() => parseTar(tar), /invalid tar header at offset 0/)
+})
@@ -0,0 +1,46 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, symlinkSync } from 'fs'
+
+import { writeEntries } from '../lib/tree.js'
+
+const mtime = new Date('2024-12-01T10:00:00Z')
+const file = (name, text = name) => ({ name, type: 'file', mode: 0o644, mtime, data: Buffer.from(text) })
+
+function tempDir(t) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('writeEntries refuses a file below a symlink of the same archive', t => {
+  const root = tempDir(t)
+  const outside = tempDir(t)
+  const entries = [
+    { name: 'link', type: 'symlink', mode: 0o777, mtime, linkname: outside },
+    file('link/escape.txt')
+  ]
+  assert.throws(() => writeEntries(root, entries), /through the symlink link/)
+  assert.equal(existsSync(path.join(root, 'link')), false, 'nothing is written')
+  assert.equal(existsSync(path.join(outside, 'escape.txt')), false)
+})
+
+test('writeEntries refuses to write through a symlink already on disk', t => {
+  const root = tempDir(t)
+  const outside = tempDir(t)
+  symlinkSync(outside, path.join(root, 'link'))
+  assert.throws(() => writeEntries(root, [file('link/escape.txt')]), /through the symlink link/)
+  assert.equal(existsSync(path.join(outside, 'escape.txt')), false)
+})
+
+test('writeEntries writes files and symlinks below root', t => {
+  const root = tempDir(t)
+  mkdirSync(path.join(root, 'existing'))
+  writeEntries(root, [
+    file('existing/a.txt', 'a'),
+    { name: 'b', type: 'symlink', mode: 0o777, mtime, linkname: 'existing/a.txt' }
+  ])
+  assert.equal(readFileSync(path.join(root, 'b'), 'utf8'), 'a')
+})
@@ -0,0 +1,78 @@
+import os from 'os'
+import path from 'path'
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { execFileSync } from 'child_process'
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs'
+
+import { Ward } from '../lib/ward.js'
+
+// a git repository with archives where older versions of ward left them
+function legacyRepo(t) {
+  const cwd = mkdtempSync(path.join(os.tmpdir(), 'ward-test-'))
+  t.after(() => rmSync(cwd, { recursive: true, force: true }))
+  execFileSync('git', ['init', '-q'], { cwd })
+
+  const write = (name, data = name) => {
+    mkdirSync(path.dirname(path.join(cwd, name)), { recursive: true })
+    writeFileSync(path.join(cwd, name), data)
+  }
+  write('.ward/1733100000.tar.gpg')
+  write('.archives/1733100060.tar.gpg')
+  write('.archives/1733100060.signing.tar.gpg')
+  write('.archives/2024-12-03_10-00-00-000Z.tar.gpg')
+  write('.archives/backup.tar.gpg')
+  return cwd
+}
+
+const relative = (cwd, moves) => moves.map(({ from, to }) => [path.relative(cwd, from), path.relative(cwd, to)])
+
+test('migrate --dry-run plans moves and renames without touching anything', async t => {
+  const cwd = legacyRepo(t)
+  const ward = new Ward({ cwd, privateFolder: 'private', archiveFolder: '.archives' })
+  const { moves, skipped } = await ward.migrate({ dryRun: true, reencrypt: false })
+
+  assert.deepEqual(relative(cwd, moves).sort(), [
+    ['.archives/1733100060.signing.tar.gpg', '.archives/2024-12-02_00-41-00-000Z.signing.tar.gpg'],
+    ['.archives/1733100060.tar.gpg', '.archives/2024-12-02_00-41-00-000Z.tar.gpg'],
+    ['.ward/1733100000.tar.gpg', '.archives/2024-12-02_00-40-00-000Z.tar.gpg']
+  ])
+  assert.deepEqual(skipped.map(({ file, reason }) => [path.relative(cwd, file), reason]), [
+    ['.archives/backup.tar.gpg', 'its name has no timestamp']
+  ])
+  assert.ok(existsSync(path.join(cwd, '.ward/1733100000.tar.gpg')))
+})
+
+test('migrate moves archives and stages the change', async t => {
+  const cwd = legacyRepo(t)
+  const ward = new Ward({ cwd, privateFolder: 'private', archiveFolder: '.archives' })
+  const { moves } = await ward.migrate({ reencrypt: false })
+
+  assert.equal(moves.length, 3)
+  assert.ok(moves.every(move => !move.reencrypted))
+  assert.equal(readFileSync(path.join(cwd, '.archives/2024-12-02_00-40-00-000Z.tar.gpg'), 'utf8'), '.ward/1733100000.tar.gpg')
+  assert.equal(existsSync(path.join(cwd, '.ward/1733100000.tar.gpg')), false)
+
+  const staged = execFileSync('git', ['diff', '--cached', '--name-only'], { cwd, encoding: 'utf8' }).trim().split('\n')
+  assert.deepEqual(staged, [
+    '.archives/2024-12-02_00-40-00-000Z.tar.gpg',
+    '.archives/2024-12-02_00-41-00-000Z.signing.tar.gpg',
+    '.archives/2024-12-02_00-41-00-000Z.tar.gpg'
+  ])
+
+  const again = await ward.migrate({ reencrypt: false })
+  assert.deepEqual(again.moves, [], 'a second run has nothing left to do')
+})
+
+test('migrate skips an archive whose new name holds a different one', async t => {
+  const cwd = legacyRepo(t)
+  writeFileSync(path.join(cwd, '.archives/2024-12-02_00-40-00-000Z.tar.gpg'), 'something else')
+  const ward = new Ward({ cwd, privateFolder: 'private', archiveFolder: '.archives' })
+  const { moves, skipped } = await ward.migrate({ dryRun: true, reencrypt: false })
+
+  assert.ok(!moves.some(move => move.from.endsWith('1733100000.tar.gpg')))
+  assert.deepEqual(skipped.map(({ file, reason }) => [path.relative(cwd, file), reason]), [
+    ['.archives/backup.tar.gpg', 'its name has no timestamp'],
+    ['.ward/1733100000.tar.gpg', '.archives/2024-12-02_00-40-00-000Z.tar.gpg already exists']
+  ])
+})